@@ -1,3 +1,129 @@
+import { verifyMessage } from 'ethers';
+import { walletProofMessage } from './src/utils/crypto.js';
+
+// Wallet proofs older than this are rejected, so a leaked signature cannot be replayed later
+const WALLET_PROOF_MAX_AGE = 5 * 60 * 1000;
+
+// Encodes bytes or a string as base64url, as used in JWTs
+const base64url = (data) => {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Resolves a Firebase ID token to the user ID it was issued for, or null if it is invalid
+async function lookupUid(idToken, env) {
+  const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:lookup?key=${env.FIREBASE_API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ idToken })
+  });
+  if (!response.ok) return null;
+  const { users } = await response.json();
+  return users?.[0]?.localId ?? null;
+}
+
+// Exchanges the service account key for an OAuth access token to the Identity Toolkit admin API
+async function getAccessToken(serviceAccount) {
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${base64url(JSON.stringify({
+    iss: serviceAccount.client_email,
+    scope: 'https://www.googleapis.com/auth/identitytoolkit',
+    aud: 'https://oauth2.googleapis.com/token',
+    iat: now,
+    exp: now + 3600
+  }))}`;
+
+  const pem = serviceAccount.private_key.replace(/-----[^-]+-----/g, '').replace(/\s/g, '');
+  const key = await crypto.subtle.importKey(
+    'pkcs8',
+    Uint8Array.from(atob(pem), c => c.charCodeAt(0)),
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, new TextEncoder().encode(unsigned));
+
+  const response = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${unsigned}.${base64url(signature)}`
+    })
+  });
+  if (!response.ok) throw new Error('Service account rejected');
+  return (await response.json()).access_token;
+}
+
+// Sets the walletAddress custom claim that firestore.rules trusts for wallet-bound reads,
+// keeping any other custom claims the account already has
+async function setWalletClaim(uid, address, env) {
+  const serviceAccount = JSON.parse(env.FIREBASE_SERVICE_ACCOUNT);
+  const accountsUrl = `https://identitytoolkit.googleapis.com/v1/projects/${serviceAccount.project_id}/accounts`;
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${await getAccessToken(serviceAccount)}`
+  };
+
+  const lookup = await fetch(`${accountsUrl}:lookup`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ localId: [uid] })
+  });
+  if (!lookup.ok) throw new Error('Failed to read existing claims');
+  const { users } = await lookup.json();
+  const claims = JSON.parse(users?.[0]?.customAttributes || '{}');
+
+  const response = await fetch(`${accountsUrl}:update`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      localId: uid,
+      customAttributes: JSON.stringify({ ...claims, walletAddress: address.toLowerCase() })
+    })
+  });
+  if (!response.ok) throw new Error('Failed to set wallet claim');
+}
+
+// Links a wallet to the caller's Firebase account once they prove they control it
+// Body: { idToken, address, issuedAt, signature } with signature over walletProofMessage
+async function handleWalletClaim(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response('Invalid request body', { status: 400 });
+  }
+  const { idToken, address, issuedAt, signature } = body;
+
+  const uid = idToken ? await lookupUid(idToken, env) : null;
+  if (!uid) {
+    return new Response('Not signed in', { status: 401 });
+  }
+  if (!Number.isFinite(issuedAt) || Math.abs(Date.now() - issuedAt) > WALLET_PROOF_MAX_AGE) {
+    return new Response('Wallet proof expired, please sign again', { status: 400 });
+  }
+  let signer;
+  try {
+    signer = verifyMessage(walletProofMessage(uid, address, issuedAt), signature);
+  } catch {
+    return new Response('Invalid wallet signature', { status: 400 });
+  }
+  if (signer.toLowerCase() !== address.toLowerCase()) {
+    return new Response('Invalid wallet signature', { status: 400 });
+  }
+
+  try {
+    await setWalletClaim(uid, address, env);
+  } catch (error) {
+    return new Response(error.message, { status: 502 });
+  }
+  return new Response(null, { status: 204 });
+}
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -7,10 +133,12 @@ export default {
       return env.ASSETS.fetch(request);
     }
 
-    // Handle API routes if needed
+    // API routes
+    if (url.pathname === '/api/wallet-claim') {
+      return handleWalletClaim(request, env);
+    }
     if (url.pathname.startsWith('/api/')) {
-      // Add your API handling logic here
-      return new Response('API endpoint');
+      return new Response('Not found', { status: 404 });
     }
 
     // Serve the SPA for all other routes
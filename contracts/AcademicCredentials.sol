@@ -4,6 +4,8 @@ pragma solidity ^0.8.19;
 import "./access/Ownable.sol";
 import "./security/Pausable.sol";
 import "./utils/Counters.sol";
+import "./utils/MerkleProof.sol";
+import "./interfaces/ICredentialToken.sol";
 
 /// @title Academic Credentials Smart Contract
 /// @notice This contract manages the issuance and verification of academic credentials on the blockchain
@@ -11,6 +13,61 @@ import "./utils/Counters.sol";
 contract AcademicCredentials is Ownable, Pausable {
     using Counters for Counters.Counter;
     Counters.Counter private _credentialIds;
+    Counters.Counter private _cohortIds;
+    Counters.Counter private _proposalIds;
+
+    /// @dev Stored as the registrar of institutions the owner registered, so their chains stay
+    ///      two links long after ownership is transferred
+    address private constant OWNER_REGISTRAR = address(1);
+
+    /// @notice Soulbound token contract representing final credentials in wallets (unset = no tokens)
+    ICredentialToken public credentialToken;
+
+    // Enums
+    /// @notice Effective status of a credential at the current block time
+    enum CredentialStatus {
+        Valid,        // Within its validity window and not revoked
+        NotYetValid,  // Validity window has not started yet
+        Expired,      // Validity window has ended
+        Revoked,      // Permanently revoked by the issuing institution
+        Suspended,    // Temporarily suspended by the issuing institution
+        Offered,      // Awaiting acceptance by the student
+        Declined,     // Declined by the student
+        Superseded    // Replaced by an amended credential
+    }
+
+    /// @notice Whether the student has accepted a credential
+    /// @dev Accepted is the default, so credentials of institutions that do not require claiming are final on issuance
+    enum OfferStatus {
+        Accepted,
+        Offered,
+        Declined
+    }
+
+    /// @notice Reason code attached to a suspension or revocation
+    enum RevocationReason {
+        Unspecified,
+        AcademicMisconduct,
+        IssuedInError,
+        Superseded,
+        Fraudulent,
+        Other
+    }
+
+    /// @notice Kind of status change recorded in a credential's history
+    enum StatusAction {
+        Suspended,
+        Reinstated,
+        Revoked,
+        Superseded
+    }
+
+    /// @notice Role an institution can grant to a staff wallet
+    /// @dev The institution address itself holds every role
+    enum SignatoryRole {
+        Issuer,       // May issue credentials and anchor cohorts
+        Revoker       // May suspend, reinstate and revoke credentials
+    }
 
     // Structs
     /// @notice Structure to store credential information
@@ -24,59 +81,403 @@ contract AcademicCredentials is Ownable, Pausable {
         string metadata;          // Additional metadata about the credential
         uint256 timestamp;        // Time when the credential was issued
         bool isRevoked;          // Flag to indicate if the credential has been revoked
+        uint256 validFrom;        // Start of the validity window (0 = valid from issuance)
+        uint256 validUntil;       // End of the validity window (0 = never expires)
+        bool isSuspended;         // Flag to indicate if the credential is temporarily suspended
+        address issuedBy;         // Signatory that issued the credential (the institution or a staff wallet)
+        OfferStatus offerStatus;  // Student acceptance of the credential
+        uint256 supersedes;       // ID of the credential this one amends (0 = original issuance)
+        uint256 supersededBy;     // ID of the credential amending this one (0 = current version)
+    }
+
+    /// @notice Structure recording a single status change of a credential
+    struct StatusUpdate {
+        StatusAction action;      // What happened to the credential
+        RevocationReason reason;  // Reason code (Unspecified for reinstatements)
+        string justificationCid;  // IPFS CID of the justification document, may be empty
+        address actor;            // Address that made the change
+        uint256 timestamp;        // Time of the change
+    }
+
+    /// @notice Structure to store a Merkle-root anchored cohort of credentials
+    /// @dev Individual credentials live off-chain; each leaf is cohortLeaf(student, certificateHash)
+    struct Cohort {
+        uint256 id;                // Unique identifier for the cohort
+        address institution;       // Address of the issuing institution
+        bytes32 merkleRoot;        // Root of the Merkle tree over all credential leaves
+        string ipfsHash;           // IPFS hash of the cohort manifest
+        uint256 credentialCount;   // Number of credentials (leaves) in the cohort
+        uint256 timestamp;         // Time when the cohort was anchored
+        uint256 validFrom;         // Start of the validity window (0 = valid from anchoring)
+        uint256 validUntil;        // End of the validity window (0 = never expires)
+        address issuedBy;          // Signatory that anchored the cohort (the institution or a staff wallet)
+    }
+
+    /// @notice Input for a single credential in batch issuance
+    struct CredentialRequest {
+        address student;          // Address of the student receiving the credential
+        bytes32 certificateHash;  // Hash of the certificate content
+        string ipfsHash;          // IPFS hash where the full certificate is stored
+        string metadata;          // Additional metadata about the credential
+        uint256 validFrom;        // Start of the validity window (0 = valid from issuance)
+        uint256 validUntil;       // End of the validity window (0 = never expires)
+    }
+
+    /// @notice Public registry profile identifying the real-world body behind an institution address
+    struct InstitutionProfile {
+        string name;                 // Legal name of the institution
+        string country;              // Country of the institution (ISO 3166-1 alpha-2 code)
+        string accreditationNumber;  // Accreditation or registration number with the national body
+        string website;              // Official website of the institution
+        string profileCid;           // IPFS CID of the full profile document
+    }
+
+    /// @notice Period during which an institution was authorized to issue credentials
+    /// @dev Opened and closed together with the institutions flag, so issuance (gated by the flag)
+    ///      only ever happens inside an open period
+    struct AuthorityPeriod {
+        uint64 start;  // Time the institution was registered or reinstated
+        uint64 end;    // Time it was suspended or removed (0 = still active)
+    }
+
+    /// @notice Structure to store a credential awaiting approval by an institution's signatories
+    /// @dev The credential is issued once approvers.length reaches the institution's approval threshold
+    struct Proposal {
+        uint256 id;                   // Unique identifier for the proposal
+        address institution;          // Address of the institution the credential is issued for
+        address proposer;             // Signatory that proposed the credential
+        CredentialRequest request;    // Credential to issue
+        address[] approvers;          // Signatories that approved, starting with the proposer
+        uint256 timestamp;            // Time when the proposal was made
+        uint256 credentialId;         // ID of the issued credential (0 while pending)
+        bool isCancelled;             // Flag to indicate if the proposal was cancelled
     }
 
     // Mappings
     mapping(uint256 => Credential) private credentials;           // Maps credential ID to Credential struct
     mapping(address => bool) private institutions;               // Maps institution address to their registration status
+    mapping(address => InstitutionProfile) private institutionProfiles; // Maps institution address to its registry profile
+    mapping(address => string) private accreditorJurisdictions; // Maps accreditor address to its jurisdiction (country code)
+    mapping(address => address) private institutionAccreditors; // Maps institution address to the accreditor that registered it, or OWNER_REGISTRAR
+    mapping(address => AuthorityPeriod[]) private authorityPeriods; // Maps institution address to its authorization periods, oldest first
     mapping(address => uint256[]) private studentCredentials;    // Maps student address to their credential IDs
     mapping(address => uint256[]) private institutionCredentials; // Maps institution address to their issued credential IDs
+    mapping(uint256 => StatusUpdate[]) private statusHistory;    // Maps credential ID to its status changes
+    mapping(uint256 => Cohort) private cohorts;                  // Maps cohort ID to Cohort struct
+    mapping(address => uint256[]) private institutionCohorts;    // Maps institution address to their anchored cohort IDs
+    mapping(uint256 => mapping(bytes32 => bool)) private revokedCohortLeaves; // Maps cohort ID and leaf to revocation status
+    mapping(address => address) private signatoryInstitution;   // Maps staff wallet to the institution it signs for
+    mapping(address => mapping(SignatoryRole => bool)) private signatoryRoles; // Maps staff wallet to its granted roles
+    mapping(address => uint256) private approvalThresholds;     // Maps institution address to approvals required per proposal
+    mapping(address => uint256) private issuerCounts;           // Maps institution address to its number of Issuer signatories
+    mapping(address => uint256) private institutionEpochs;      // Maps institution address to the number of times it was removed
+    mapping(address => uint256) private signatoryEpochs;        // Maps staff wallet to its institution's epoch when it joined
+    mapping(uint256 => Proposal) private proposals;              // Maps proposal ID to Proposal struct
+    mapping(uint256 => mapping(address => bool)) private proposalApprovals; // Maps proposal ID and signatory to approval status
+    mapping(address => uint256[]) private institutionProposals; // Maps institution address to their proposal IDs
+    mapping(uint256 => uint256) private credentialProposals;    // Maps credential ID to the proposal it was issued from
+    mapping(address => bool) private claimRequired;              // Maps institution address to whether students must accept credentials
 
     // Events
-    event InstitutionRegistered(address indexed institution);
+    event CredentialTokenChanged(address indexed credentialToken);
+    event AccreditorAppointed(address indexed accreditor, string jurisdiction);
+    event AccreditorRemoved(address indexed accreditor);
+    event InstitutionRegistered(address indexed institution, address indexed accreditor);
     event InstitutionRemoved(address indexed institution);
+    event InstitutionSuspended(address indexed institution, address indexed accreditor);
+    event InstitutionReinstated(address indexed institution, address indexed accreditor);
+    event InstitutionProfileUpdated(address indexed institution, string name, string profileCid);
+    event SignatoryRoleGranted(address indexed institution, address indexed signatory, SignatoryRole role);
+    event SignatoryRoleRevoked(address indexed institution, address indexed signatory, SignatoryRole role);
     event CredentialIssued(
         uint256 indexed credentialId,
         address indexed institution,
         address indexed student,
         bytes32 certificateHash,
-        string ipfsHash
+        string ipfsHash,
+        address signatory
+    );
+    event BatchIssued(address indexed institution, uint256 issuedCount, uint256 skippedCount);
+    event BatchItemSkipped(address indexed institution, uint256 index, address student, string reason);
+    event CredentialRevoked(
+        uint256 indexed credentialId,
+        address indexed institution,
+        RevocationReason reason,
+        string justificationCid
+    );
+    event CredentialSuspended(
+        uint256 indexed credentialId,
+        address indexed institution,
+        RevocationReason reason,
+        string justificationCid
+    );
+    event ApprovalThresholdChanged(address indexed institution, uint256 threshold);
+    event CredentialProposed(
+        uint256 indexed proposalId,
+        address indexed institution,
+        address indexed proposer,
+        address student
+    );
+    event ProposalApproved(
+        uint256 indexed proposalId,
+        address indexed institution,
+        address indexed approver,
+        uint256 approvalCount
+    );
+    event ProposalExecuted(uint256 indexed proposalId, uint256 indexed credentialId);
+    event ProposalCancelled(uint256 indexed proposalId, address indexed institution, address signatory);
+    event ClaimRequirementChanged(address indexed institution, bool required);
+    event CredentialAmended(
+        uint256 indexed credentialId,
+        uint256 indexed amendedCredentialId,
+        address indexed institution,
+        string justificationCid
+    );
+    event CredentialAccepted(uint256 indexed credentialId, address indexed student);
+    event CredentialDeclined(uint256 indexed credentialId, address indexed student);
+    event CohortAnchored(
+        uint256 indexed cohortId,
+        address indexed institution,
+        bytes32 merkleRoot,
+        uint256 credentialCount,
+        string ipfsHash,
+        address signatory
+    );
+    event CohortCredentialRevoked(
+        uint256 indexed cohortId,
+        bytes32 indexed leaf,
+        address indexed institution,
+        RevocationReason reason,
+        string justificationCid,
+        address signatory
+    );
+    event CredentialReinstated(
+        uint256 indexed credentialId,
+        address indexed institution,
+        string justificationCid
     );
-    event CredentialRevoked(uint256 indexed credentialId, address indexed institution);
 
     // Modifiers
+    // Checks live in private functions so each modifier use does not inline its revert string
     /// @notice Ensures caller is a registered institution
     modifier onlyInstitution() {
-        require(institutions[msg.sender], "Caller is not a registered institution");
+        _checkInstitution();
+        _;
+    }
+
+    /// @notice Ensures caller is a registered institution or a staff wallet holding the role
+    modifier onlySignatory(SignatoryRole role) {
+        _checkSignatory(role);
+        _;
+    }
+
+    /// @notice Ensures caller may issue without proposals, i.e. is an institution or its threshold is 1
+    modifier withoutApproval() {
+        _checkWithoutApproval();
         _;
     }
 
     /// @notice Ensures the credential exists
     modifier credentialExists(uint256 credentialId) {
-        require(credentials[credentialId].timestamp != 0, "Credential does not exist");
+        _checkCredentialExists(credentialId);
+        _;
+    }
+
+    /// @notice Ensures the cohort exists
+    modifier cohortExists(uint256 cohortId) {
+        _checkCohortExists(cohortId);
         _;
     }
 
-    /// @notice Initializes the contract with credential IDs starting from 1
+    /// @notice Ensures the proposal exists
+    modifier proposalExists(uint256 proposalId) {
+        _checkProposalExists(proposalId);
+        _;
+    }
+
+    function _checkInstitution() private view {
+        require(institutions[msg.sender], "Not a registered institution");
+    }
+
+    function _checkSignatory(SignatoryRole role) private view {
+        require(hasSignatoryRole(msg.sender, role), "Not an authorized signatory");
+    }
+
+    function _checkWithoutApproval() private view {
+        require(
+            institutions[msg.sender] || getApprovalThreshold(signatoryInstitution[msg.sender]) == 1,
+            "Proposal required"
+        );
+    }
+
+    function _checkIssuingInstitution(address institution) private view {
+        require(institution == getSignatoryInstitution(msg.sender), "Not the issuing institution");
+    }
+
+    function _checkCredentialExists(uint256 credentialId) private view {
+        require(credentials[credentialId].timestamp != 0, "Credential does not exist");
+    }
+
+    function _checkCohortExists(uint256 cohortId) private view {
+        require(cohorts[cohortId].timestamp != 0, "Cohort does not exist");
+    }
+
+    function _checkProposalExists(uint256 proposalId) private view {
+        require(proposals[proposalId].timestamp != 0, "Proposal does not exist");
+    }
+
+    /// @notice Initializes the contract with credential, cohort and proposal IDs starting from 1
     constructor() {
         _credentialIds.increment(); // Start IDs from 1
+        _cohortIds.increment();
+        _proposalIds.increment();
+    }
+
+    // Token Management
+    /// @notice Sets the soulbound token contract minted for final credentials
+    /// @dev Credentials issued before the token is set can be minted later with mintCredentialToken
+    function setCredentialToken(address token) external onlyOwner {
+        credentialToken = ICredentialToken(token);
+        emit CredentialTokenChanged(token);
+    }
+
+    /// @notice Mints the token of a final credential that has none yet, e.g. one issued before the token was set
+    function mintCredentialToken(uint256 credentialId) external credentialExists(credentialId) {
+        Credential storage credential = credentials[credentialId];
+        require(address(credentialToken) != address(0), "Credential token not set");
+        require(credential.offerStatus == OfferStatus.Accepted, "Credential not accepted");
+        require(!credential.isRevoked && credential.supersededBy == 0, "Credential no longer current");
+        credentialToken.mint(credential.student, credentialId, credential.metadata);
+    }
+
+    /// @notice Mints the token of a credential once it is final, if a token contract is set
+    function _mintToken(uint256 credentialId) private {
+        if (address(credentialToken) != address(0)) {
+            Credential storage credential = credentials[credentialId];
+            credentialToken.mint(credential.student, credentialId, credential.metadata);
+        }
+    }
+
+    /// @notice Burns the token of a credential that is no longer current, if a token contract is set
+    function _burnToken(uint256 credentialId) private {
+        if (address(credentialToken) != address(0)) {
+            credentialToken.burn(credentialId);
+        }
+    }
+
+    // Accreditor Management
+    /// @notice Appoints an accreditor that can register and suspend institutions in its jurisdiction
+    /// @param jurisdiction Country code matched against InstitutionProfile.country
+    function appointAccreditor(address accreditor, string calldata jurisdiction) external onlyOwner {
+        require(accreditor != address(0), "Invalid accreditor address");
+        require(bytes(jurisdiction).length > 0, "Jurisdiction required");
+        accreditorJurisdictions[accreditor] = jurisdiction;
+        emit AccreditorAppointed(accreditor, jurisdiction);
+    }
+
+    /// @notice Removes an accreditor; institutions it registered stay registered
+    function removeAccreditor(address accreditor) external onlyOwner {
+        require(bytes(accreditorJurisdictions[accreditor]).length > 0, "Accreditor not appointed");
+        delete accreditorJurisdictions[accreditor];
+        emit AccreditorRemoved(accreditor);
+    }
+
+    /// @notice Returns the jurisdiction of an accreditor
+    /// @return Country code, empty if the address is not an accreditor
+    function getAccreditorJurisdiction(address accreditor) external view returns (string memory) {
+        return accreditorJurisdictions[accreditor];
+    }
+
+    /// @notice Ensures caller is the owner or an accreditor for the given country
+    function _checkAccreditor(string memory country) private view {
+        if (msg.sender != owner()) {
+            bytes memory jurisdiction = bytes(accreditorJurisdictions[msg.sender]);
+            require(
+                jurisdiction.length > 0 && keccak256(jurisdiction) == keccak256(bytes(country)),
+                "Not an accreditor for the country"
+            );
+        }
     }
 
     // Institution Management
-    /// @notice Registers a new academic institution
+    /// @notice Registers a new academic institution with its registry profile
+    /// @dev Callable by the owner, or by an accreditor for the profile's country
     /// @param institution Address of the institution to register
-    function registerInstitution(address institution) external onlyOwner {
-        require(!institutions[institution], "Institution already registered");
+    /// @param profile Legal name, country, accreditation number, website and profile CID
+    function registerInstitution(address institution, InstitutionProfile calldata profile) external {
+        _checkAccreditor(profile.country);
+        require(institutionAccreditors[institution] == address(0), "Institution already registered");
         institutions[institution] = true;
-        emit InstitutionRegistered(institution);
+        institutionAccreditors[institution] = msg.sender == owner() ? OWNER_REGISTRAR : msg.sender;
+        _openAuthorityPeriod(institution);
+        _setInstitutionProfile(institution, profile);
+        emit InstitutionRegistered(institution, msg.sender);
     }
 
-    /// @notice Removes a registered institution
+    /// @notice Updates the registry profile of a registered institution
+    /// @dev An accreditor must cover both the current and the new country
+    function updateInstitutionProfile(address institution, InstitutionProfile calldata profile) external {
+        require(institutions[institution], "Institution not registered");
+        _checkAccreditor(institutionProfiles[institution].country);
+        _checkAccreditor(profile.country);
+        _setInstitutionProfile(institution, profile);
+    }
+
+    /// @notice Stores an institution's registry profile
+    function _setInstitutionProfile(address institution, InstitutionProfile calldata profile) private {
+        require(bytes(profile.name).length > 0, "Institution name required");
+        institutionProfiles[institution] = profile;
+        emit InstitutionProfileUpdated(institution, profile.name, profile.profileCid);
+    }
+
+    /// @notice Removes a registered institution, active or suspended
     /// @param institution Address of the institution to remove
     function removeInstitution(address institution) external onlyOwner {
+        require(institutionAccreditors[institution] != address(0), "Institution not registered");
+        // A suspended institution's authority period was already closed
+        if (institutions[institution]) {
+            institutions[institution] = false;
+            _closeAuthorityPeriod(institution);
+        }
+        delete institutionAccreditors[institution];
+        // Staff, their count and the threshold do not carry over if the institution is registered again
+        institutionEpochs[institution]++;
+        delete issuerCounts[institution];
+        delete approvalThresholds[institution];
+        emit InstitutionRemoved(institution);
+    }
+
+    /// @notice Suspends a registered institution until it is reinstated
+    /// @dev Callable by the owner, or by an accreditor for the institution's country
+    function suspendInstitution(address institution) external {
         require(institutions[institution], "Institution not registered");
+        _checkAccreditor(institutionProfiles[institution].country);
         institutions[institution] = false;
-        emit InstitutionRemoved(institution);
+        _closeAuthorityPeriod(institution);
+        emit InstitutionSuspended(institution, msg.sender);
+    }
+
+    /// @notice Reinstates a suspended institution
+    function reinstateInstitution(address institution) external {
+        require(
+            !institutions[institution] && institutionAccreditors[institution] != address(0),
+            "Institution not suspended"
+        );
+        _checkAccreditor(institutionProfiles[institution].country);
+        institutions[institution] = true;
+        _openAuthorityPeriod(institution);
+        emit InstitutionReinstated(institution, msg.sender);
+    }
+
+    /// @notice Starts a new authorization period for an institution
+    function _openAuthorityPeriod(address institution) private {
+        authorityPeriods[institution].push(AuthorityPeriod(uint64(block.timestamp), 0));
+    }
+
+    /// @notice Ends the current authorization period of an institution
+    function _closeAuthorityPeriod(address institution) private {
+        AuthorityPeriod[] storage periods = authorityPeriods[institution];
+        periods[periods.length - 1].end = uint64(block.timestamp);
     }
 
     /// @notice Checks if an address belongs to a registered institution
@@ -85,61 +486,381 @@ contract AcademicCredentials is Ownable, Pausable {
         return institutions[account];
     }
 
+    /// @notice Checks whether an institution was authorized to issue at a given time
+    /// @dev Lets verifiers accept credentials issued before an institution was suspended or removed
+    /// @param timestamp Time to check, typically a credential's or cohort's timestamp
+    /// @return bool indicating if the time falls within one of the institution's authorization periods
+    function wasAuthorizedAt(address institution, uint256 timestamp) public view returns (bool) {
+        AuthorityPeriod[] storage periods = authorityPeriods[institution];
+        for (uint256 i = periods.length; i > 0; i--) {
+            AuthorityPeriod storage period = periods[i - 1];
+            if (timestamp >= period.start && (period.end == 0 || timestamp < period.end)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /// @notice Retrieves the authorization periods of an institution
+    /// @return Array of AuthorityPeriod structs, oldest first
+    function getAuthorityPeriods(address institution) external view returns (AuthorityPeriod[] memory) {
+        return authorityPeriods[institution];
+    }
+
+    /// @notice Returns the accreditation chain of an institution
+    /// @return chain [owner, accreditor, institution], [owner, institution] when the owner registered
+    ///         it directly, or empty if the institution was never registered or was removed
+    /// @dev A removed accreditor stays in the chains of institutions it registered; its
+    ///      getAccreditorJurisdiction is empty, which verifiers must check
+    function getAccreditationChain(address institution) external view returns (address[] memory chain) {
+        address accreditor = institutionAccreditors[institution];
+        if (accreditor == address(0)) {
+            return chain;
+        }
+        if (accreditor == OWNER_REGISTRAR) {
+            chain = new address[](2);
+        } else {
+            chain = new address[](3);
+            chain[1] = accreditor;
+        }
+        chain[0] = owner();
+        chain[chain.length - 1] = institution;
+    }
+
+    /// @notice Retrieves the registry profile of an institution
+    /// @dev Kept after removal so credentials issued earlier still name their issuer
+    /// @return InstitutionProfile struct, empty for addresses that were never registered
+    function getInstitutionProfile(address institution) external view returns (InstitutionProfile memory) {
+        return institutionProfiles[institution];
+    }
+
+    // Signatory Management
+    /// @notice Grants a role to a staff wallet of the calling institution
+    /// @dev A staff wallet can sign for one institution only; institutions cannot be signatories of another
+    /// @param signatory Staff wallet receiving the role
+    function grantSignatoryRole(address signatory, SignatoryRole role) external onlyInstitution {
+        require(signatory != address(0), "Invalid signatory address");
+        require(!institutions[signatory], "Signatory is an institution");
+        address current = _staffInstitution(signatory);
+        require(current == address(0) || current == msg.sender, "Signatory of another institution");
+        if (current == address(0)) {
+            // Drop roles left over from an institution that was removed since
+            delete signatoryRoles[signatory][SignatoryRole.Issuer];
+            delete signatoryRoles[signatory][SignatoryRole.Revoker];
+            signatoryInstitution[signatory] = msg.sender;
+            signatoryEpochs[signatory] = institutionEpochs[msg.sender];
+        }
+        require(!signatoryRoles[signatory][role], "Role already granted");
+
+        signatoryRoles[signatory][role] = true;
+        if (role == SignatoryRole.Issuer) issuerCounts[msg.sender]++;
+        emit SignatoryRoleGranted(msg.sender, signatory, role);
+    }
+
+    /// @notice Revokes a role from a staff wallet of the calling institution
+    /// @dev The wallet is released from the institution once it holds no roles
+    /// @param signatory Staff wallet losing the role
+    function revokeSignatoryRole(address signatory, SignatoryRole role) external onlyInstitution {
+        require(_staffInstitution(signatory) == msg.sender, "Not a signatory of the caller");
+        require(signatoryRoles[signatory][role], "Role not granted");
+
+        signatoryRoles[signatory][role] = false;
+        if (role == SignatoryRole.Issuer) issuerCounts[msg.sender]--;
+        if (!signatoryRoles[signatory][SignatoryRole.Issuer] && !signatoryRoles[signatory][SignatoryRole.Revoker]) {
+            delete signatoryInstitution[signatory];
+        }
+        emit SignatoryRoleRevoked(msg.sender, signatory, role);
+    }
+
+    /// @notice Checks if an address may act with a role on behalf of an institution
+    /// @dev Registered institutions hold every role; staff lose their roles when their institution is removed
+    /// @return bool indicating if the address holds the role
+    function hasSignatoryRole(address account, SignatoryRole role) public view returns (bool) {
+        if (institutions[account]) {
+            return true;
+        }
+        address institution = _staffInstitution(account);
+        return institution != address(0) && institutions[institution] && signatoryRoles[account][role];
+    }
+
+    /// @notice Returns the institution a staff wallet signs for
+    /// @return institution The granting institution, or address(0) if it was removed after granting the roles
+    function _staffInstitution(address account) private view returns (address institution) {
+        institution = signatoryInstitution[account];
+        if (signatoryEpochs[account] != institutionEpochs[institution]) {
+            return address(0);
+        }
+    }
+
+    /// @notice Returns the institution an address signs for
+    /// @return The address itself for institutions, the granting institution for staff, or address(0)
+    function getSignatoryInstitution(address account) public view returns (address) {
+        return institutions[account] ? account : _staffInstitution(account);
+    }
+
     // Credential Management
     /// @notice Issues a new academic credential
-    /// @dev Only registered institutions can issue credentials
+    /// @dev Callable by registered institutions, and by their Issuer signatories while the approval threshold is 1
+    /// @param validFrom Start of the validity window, 0 for valid from issuance
+    /// @param validUntil End of the validity window, 0 for a credential that never expires
     function issueCredential(
         address student,
         bytes32 certificateHash,
         string calldata ipfsHash,
-        string calldata metadata
-    ) external onlyInstitution whenNotPaused returns (uint256) {
-        require(student != address(0), "Invalid student address");
-        require(certificateHash != bytes32(0), "Invalid certificate hash");
-        require(bytes(ipfsHash).length > 0, "Invalid IPFS hash");
+        string calldata metadata,
+        uint256 validFrom,
+        uint256 validUntil
+    ) external onlySignatory(SignatoryRole.Issuer) withoutApproval whenNotPaused returns (uint256) {
+        string memory invalidReason = _validateIssuance(student, certificateHash, ipfsHash, validFrom, validUntil);
+        require(bytes(invalidReason).length == 0, invalidReason);
+
+        return _issueCredential(
+            student,
+            certificateHash,
+            ipfsHash,
+            metadata,
+            validFrom,
+            validUntil,
+            getSignatoryInstitution(msg.sender),
+            msg.sender
+        );
+    }
 
+    /// @notice Checks the inputs of a credential issuance
+    /// @return Revert reason for invalid inputs, or an empty string if they are valid
+    function _validateIssuance(
+        address student,
+        bytes32 certificateHash,
+        string calldata ipfsHash,
+        uint256 validFrom,
+        uint256 validUntil
+    ) private pure returns (string memory) {
+        if (student == address(0)) return "Invalid student address";
+        if (certificateHash == bytes32(0)) return "Invalid certificate hash";
+        if (bytes(ipfsHash).length == 0) return "Invalid IPFS hash";
+        if (validUntil != 0 && validUntil <= validFrom) return "Invalid validity window";
+        return "";
+    }
+
+    /// @notice Stores a credential and emits CredentialIssued
+    /// @dev Inputs must already have passed _validateIssuance
+    /// @param institution Institution the credential is issued for
+    /// @param signatory Signatory the credential is attributed to
+    function _issueCredential(
+        address student,
+        bytes32 certificateHash,
+        string memory ipfsHash,
+        string memory metadata,
+        uint256 validFrom,
+        uint256 validUntil,
+        address institution,
+        address signatory
+    ) private returns (uint256) {
         uint256 credentialId = _credentialIds.current();
         
         Credential memory newCredential = Credential({
             id: credentialId,
-            institution: msg.sender,
+            institution: institution,
             student: student,
             certificateHash: certificateHash,
             ipfsHash: ipfsHash,
             metadata: metadata,
             timestamp: block.timestamp,
-            isRevoked: false
+            isRevoked: false,
+            validFrom: validFrom,
+            validUntil: validUntil,
+            isSuspended: false,
+            issuedBy: signatory,
+            offerStatus: claimRequired[institution] ? OfferStatus.Offered : OfferStatus.Accepted,
+            supersedes: 0,
+            supersededBy: 0
         });
 
         credentials[credentialId] = newCredential;
         studentCredentials[student].push(credentialId);
-        institutionCredentials[msg.sender].push(credentialId);
+        institutionCredentials[institution].push(credentialId);
 
         emit CredentialIssued(
             credentialId,
-            msg.sender,
+            institution,
             student,
             certificateHash,
-            ipfsHash
+            ipfsHash,
+            signatory
         );
 
         _credentialIds.increment();
+        if (newCredential.offerStatus == OfferStatus.Accepted) {
+            _mintToken(credentialId);
+        }
         return credentialId;
     }
 
-    /// @notice Revokes a previously issued credential
-    /// @dev Only the issuing institution can revoke their own credentials
-    function revokeCredential(uint256 credentialId) 
+    /// @notice Permanently revokes a previously issued credential
+    /// @dev Only the issuing institution and its Revoker signatories can revoke; a suspended credential can be revoked
+    /// @param reason Reason code for the revocation
+    /// @param justificationCid IPFS CID of a document justifying the revocation, may be empty
+    function revokeCredential(
+        uint256 credentialId,
+        RevocationReason reason,
+        string calldata justificationCid
+    )
         external 
-        onlyInstitution 
+        onlySignatory(SignatoryRole.Revoker) 
         credentialExists(credentialId) 
     {
         Credential storage credential = credentials[credentialId];
-        require(credential.institution == msg.sender, "Not the issuing institution");
+        _checkIssuingInstitution(credential.institution);
         require(!credential.isRevoked, "Credential already revoked");
 
         credential.isRevoked = true;
-        emit CredentialRevoked(credentialId, msg.sender);
+        credential.isSuspended = false;
+        _burnToken(credentialId);
+        _recordStatusUpdate(credentialId, StatusAction.Revoked, reason, justificationCid);
+        emit CredentialRevoked(credentialId, credential.institution, reason, justificationCid);
+    }
+
+    /// @notice Temporarily suspends a credential, e.g. pending an investigation
+    /// @dev Only the issuing institution and its Revoker signatories can suspend
+    /// @param reason Reason code for the suspension
+    /// @param justificationCid IPFS CID of a document justifying the suspension, may be empty
+    function suspendCredential(
+        uint256 credentialId,
+        RevocationReason reason,
+        string calldata justificationCid
+    )
+        external
+        onlySignatory(SignatoryRole.Revoker)
+        credentialExists(credentialId)
+    {
+        Credential storage credential = credentials[credentialId];
+        _checkIssuingInstitution(credential.institution);
+        require(!credential.isRevoked, "Credential already revoked");
+        require(!credential.isSuspended, "Credential already suspended");
+
+        credential.isSuspended = true;
+        _recordStatusUpdate(credentialId, StatusAction.Suspended, reason, justificationCid);
+        emit CredentialSuspended(credentialId, credential.institution, reason, justificationCid);
+    }
+
+    /// @notice Lifts the suspension of a credential
+    /// @dev Only the issuing institution and its Revoker signatories can reinstate; revocation is final
+    /// @param justificationCid IPFS CID of a document justifying the reinstatement, may be empty
+    function reinstateCredential(uint256 credentialId, string calldata justificationCid)
+        external
+        onlySignatory(SignatoryRole.Revoker)
+        credentialExists(credentialId)
+    {
+        Credential storage credential = credentials[credentialId];
+        _checkIssuingInstitution(credential.institution);
+        require(credential.isSuspended, "Credential not suspended");
+
+        credential.isSuspended = false;
+        _recordStatusUpdate(credentialId, StatusAction.Reinstated, RevocationReason.Unspecified, justificationCid);
+        emit CredentialReinstated(credentialId, credential.institution, justificationCid);
+    }
+
+    /// @notice Issues a corrected version of a credential and marks the original as superseded
+    /// @dev Requires both the Issuer and Revoker roles, and an approval threshold of 1 for signatories;
+    ///      the original keeps its history and links to the new version
+    /// @param request Corrected credential; use 0 in a validity bound for no bound
+    /// @param justificationCid IPFS CID of a document explaining the amendment, may be empty
+    /// @return amendedId ID of the new credential
+    function amendCredential(
+        uint256 credentialId,
+        CredentialRequest calldata request,
+        string calldata justificationCid
+    )
+        external
+        onlySignatory(SignatoryRole.Issuer)
+        withoutApproval
+        whenNotPaused
+        credentialExists(credentialId)
+        returns (uint256 amendedId)
+    {
+        _checkSignatory(SignatoryRole.Revoker);
+        Credential storage original = credentials[credentialId];
+        _checkIssuingInstitution(original.institution);
+        require(original.supersededBy == 0, "Credential already superseded");
+        require(!original.isRevoked, "Credential already revoked");
+        require(original.offerStatus != OfferStatus.Declined, "Credential declined");
+
+        string memory invalidReason = _validateIssuance(
+            request.student,
+            request.certificateHash,
+            request.ipfsHash,
+            request.validFrom,
+            request.validUntil
+        );
+        require(bytes(invalidReason).length == 0, invalidReason);
+
+        amendedId = _issueCredential(
+            request.student,
+            request.certificateHash,
+            request.ipfsHash,
+            request.metadata,
+            request.validFrom,
+            request.validUntil,
+            original.institution,
+            msg.sender
+        );
+        credentials[amendedId].supersedes = credentialId;
+        original.supersededBy = amendedId;
+        _burnToken(credentialId);
+
+        _recordStatusUpdate(credentialId, StatusAction.Superseded, RevocationReason.Superseded, justificationCid);
+        emit CredentialAmended(credentialId, amendedId, original.institution, justificationCid);
+    }
+
+    /// @notice Appends an entry to a credential's status history
+    function _recordStatusUpdate(
+        uint256 credentialId,
+        StatusAction action,
+        RevocationReason reason,
+        string calldata justificationCid
+    ) private {
+        statusHistory[credentialId].push(StatusUpdate({
+            action: action,
+            reason: reason,
+            justificationCid: justificationCid,
+            actor: msg.sender,
+            timestamp: block.timestamp
+        }));
+    }
+
+    // Student Claims
+    /// @notice Sets whether students must accept credentials issued by the calling institution
+    /// @dev Applies to credentials issued after the change
+    function setClaimRequired(bool required) external onlyInstitution {
+        claimRequired[msg.sender] = required;
+        emit ClaimRequirementChanged(msg.sender, required);
+    }
+
+    /// @notice Checks whether students must accept credentials issued by an institution
+    /// @return bool indicating if new credentials are offered rather than final
+    function isClaimRequired(address institution) external view returns (bool) {
+        return claimRequired[institution];
+    }
+
+    /// @notice Accepts a credential offered to the caller
+    function acceptCredential(uint256 credentialId) external credentialExists(credentialId) {
+        _settleOffer(credentialId, OfferStatus.Accepted);
+        _mintToken(credentialId);
+        emit CredentialAccepted(credentialId, msg.sender);
+    }
+
+    /// @notice Declines a credential offered to the caller; the decision is final
+    function declineCredential(uint256 credentialId) external credentialExists(credentialId) {
+        _settleOffer(credentialId, OfferStatus.Declined);
+        emit CredentialDeclined(credentialId, msg.sender);
+    }
+
+    /// @notice Records the student's answer to an offered credential
+    function _settleOffer(uint256 credentialId, OfferStatus answer) private {
+        Credential storage credential = credentials[credentialId];
+        require(credential.student == msg.sender, "Not the credential student");
+        require(credential.offerStatus == OfferStatus.Offered, "Credential not offered");
+        credential.offerStatus = answer;
     }
 
     // View Functions
@@ -154,6 +875,71 @@ contract AcademicCredentials is Ownable, Pausable {
         return credentials[credentialId];
     }
 
+    /// @notice Returns the effective status of a credential at the current block time
+    /// @dev A declined credential stays declined; otherwise supersession takes precedence over revocation,
+    ///      then suspension, then a pending offer, then the validity window
+    /// @return CredentialStatus of the credential
+    function getCredentialStatus(uint256 credentialId)
+        external
+        view
+        credentialExists(credentialId)
+        returns (CredentialStatus)
+    {
+        Credential storage credential = credentials[credentialId];
+        if (credential.offerStatus == OfferStatus.Declined) {
+            return CredentialStatus.Declined;
+        }
+        if (credential.supersededBy != 0) {
+            return CredentialStatus.Superseded;
+        }
+        if (credential.isRevoked) {
+            return CredentialStatus.Revoked;
+        }
+        if (credential.isSuspended) {
+            return CredentialStatus.Suspended;
+        }
+        if (credential.offerStatus == OfferStatus.Offered) {
+            return CredentialStatus.Offered;
+        }
+        return _windowStatus(credential.validFrom, credential.validUntil);
+    }
+
+    /// @notice Evaluates a validity window at the current block time
+    function _windowStatus(uint256 validFrom, uint256 validUntil) private view returns (CredentialStatus) {
+        if (validFrom != 0 && block.timestamp < validFrom) {
+            return CredentialStatus.NotYetValid;
+        }
+        if (validUntil != 0 && block.timestamp >= validUntil) {
+            return CredentialStatus.Expired;
+        }
+        return CredentialStatus.Valid;
+    }
+
+    /// @notice Follows amendments from a credential to its current version
+    /// @return ID of the latest credential in the amendment chain, the given ID if it was never amended
+    function getCurrentVersion(uint256 credentialId)
+        external
+        view
+        credentialExists(credentialId)
+        returns (uint256)
+    {
+        while (credentials[credentialId].supersededBy != 0) {
+            credentialId = credentials[credentialId].supersededBy;
+        }
+        return credentialId;
+    }
+
+    /// @notice Retrieves every suspension, reinstatement, revocation and amendment of a credential
+    /// @return Array of status updates, oldest first
+    function getStatusHistory(uint256 credentialId)
+        external
+        view
+        credentialExists(credentialId)
+        returns (StatusUpdate[] memory)
+    {
+        return statusHistory[credentialId];
+    }
+
     /// @notice Gets all credential IDs associated with a student
     /// @return Array of credential IDs
     function getStudentCredentials(address student) 
@@ -187,31 +973,338 @@ contract AcademicCredentials is Ownable, Pausable {
 
     // Batch Operations
     /// @notice Issues multiple credentials in a single transaction
-    /// @dev All input arrays must be of equal length
-    function batchIssueCredentials(
-        address[] calldata students,
-        bytes32[] calldata certificateHashes,
-        string[] calldata ipfsHashes,
-        string[] calldata metadataArray
-    ) external onlyInstitution whenNotPaused returns (uint256[] memory) {
+    /// @dev Callable by registered institutions, and by their Issuer signatories while the approval
+    ///      threshold is 1; emits CredentialIssued per credential and one BatchIssued summary
+    /// @param requests Credentials to issue; use 0 in a validity bound for no bound
+    /// @param skipInvalid When true, invalid rows are skipped and reported via BatchItemSkipped
+    ///        instead of reverting the whole batch
+    /// @return issuedIds Credential ID per request, 0 for skipped requests
+    function batchIssueCredentials(CredentialRequest[] calldata requests, bool skipInvalid)
+        external
+        onlySignatory(SignatoryRole.Issuer)
+        withoutApproval
+        whenNotPaused
+        returns (uint256[] memory issuedIds)
+    {
+        issuedIds = new uint256[](requests.length);
+        uint256 skippedCount = 0;
+        address institution = getSignatoryInstitution(msg.sender);
+
+        for (uint256 i = 0; i < requests.length; ) {
+            CredentialRequest calldata request = requests[i];
+            string memory invalidReason = _validateIssuance(
+                request.student,
+                request.certificateHash,
+                request.ipfsHash,
+                request.validFrom,
+                request.validUntil
+            );
+
+            if (bytes(invalidReason).length == 0) {
+                issuedIds[i] = _issueCredential(
+                    request.student,
+                    request.certificateHash,
+                    request.ipfsHash,
+                    request.metadata,
+                    request.validFrom,
+                    request.validUntil,
+                    institution,
+                    msg.sender
+                );
+            } else {
+                require(skipInvalid, invalidReason);
+                skippedCount++;
+                emit BatchItemSkipped(institution, i, request.student, invalidReason);
+            }
+
+            unchecked { ++i; }
+        }
+
+        emit BatchIssued(institution, requests.length - skippedCount, skippedCount);
+    }
+
+    // Approval Workflow
+    /// @notice Sets how many signatories must approve a proposed credential before it is issued
+    /// @dev Applies to proposals approved after the change. Above 1, signatories can no longer issue,
+    ///      amend or anchor cohorts directly; only the institution's own wallet bypasses proposals
+    ///      Proposals that already have enough approvals after a decrease are issued with executeProposal
+    /// @param threshold Number of approvals required, including the proposer's; at most the number of
+    ///        Issuer signatories plus the institution's own wallet
+    function setApprovalThreshold(uint256 threshold) external onlyInstitution {
+        require(threshold > 0 && threshold <= issuerCounts[msg.sender] + 1, "Invalid approval threshold");
+        approvalThresholds[msg.sender] = threshold;
+        emit ApprovalThresholdChanged(msg.sender, threshold);
+    }
+
+    /// @notice Returns the number of approvals a proposal of an institution needs
+    /// @return Approval threshold, 1 if the institution never set one
+    function getApprovalThreshold(address institution) public view returns (uint256) {
+        uint256 threshold = approvalThresholds[institution];
+        return threshold == 0 ? 1 : threshold;
+    }
+
+    /// @notice Proposes a credential that is issued once enough signatories approve it
+    /// @dev The proposal counts as the proposer's approval, so a threshold of 1 issues immediately
+    /// @param request Credential to issue; use 0 in a validity bound for no bound
+    /// @return proposalId ID of the new proposal
+    function proposeCredential(CredentialRequest calldata request)
+        external
+        onlySignatory(SignatoryRole.Issuer)
+        whenNotPaused
+        returns (uint256 proposalId)
+    {
+        string memory invalidReason = _validateIssuance(
+            request.student,
+            request.certificateHash,
+            request.ipfsHash,
+            request.validFrom,
+            request.validUntil
+        );
+        require(bytes(invalidReason).length == 0, invalidReason);
+
+        proposalId = _proposalIds.current();
+        Proposal storage proposal = proposals[proposalId];
+        proposal.id = proposalId;
+        proposal.institution = getSignatoryInstitution(msg.sender);
+        proposal.proposer = msg.sender;
+        proposal.request = request;
+        proposal.timestamp = block.timestamp;
+        institutionProposals[proposal.institution].push(proposalId);
+        _proposalIds.increment();
+
+        emit CredentialProposed(proposalId, proposal.institution, msg.sender, request.student);
+        _approveProposal(proposal);
+    }
+
+    /// @notice Approves a pending proposal of the caller's institution
+    /// @dev Issues the credential when this approval reaches the threshold
+    function approveProposal(uint256 proposalId)
+        external
+        onlySignatory(SignatoryRole.Issuer)
+        whenNotPaused
+        proposalExists(proposalId)
+    {
+        _approveProposal(proposals[proposalId]);
+    }
+
+    /// @notice Issues a pending proposal whose approvals already meet the current threshold
+    /// @dev Needed after the threshold is lowered, as no further approval would trigger the issuance
+    function executeProposal(uint256 proposalId)
+        external
+        onlySignatory(SignatoryRole.Issuer)
+        whenNotPaused
+        proposalExists(proposalId)
+    {
+        Proposal storage proposal = proposals[proposalId];
+        _checkPendingProposal(proposal);
+        require(proposal.approvers.length >= getApprovalThreshold(proposal.institution), "Not enough approvals");
+        _executeProposal(proposal);
+    }
+
+    /// @notice Records the caller's approval and issues the credential once the threshold is met
+    function _approveProposal(Proposal storage proposal) private {
+        _checkPendingProposal(proposal);
+        require(!proposalApprovals[proposal.id][msg.sender], "Already approved");
+
+        proposalApprovals[proposal.id][msg.sender] = true;
+        proposal.approvers.push(msg.sender);
+        emit ProposalApproved(proposal.id, proposal.institution, msg.sender, proposal.approvers.length);
+
+        if (proposal.approvers.length >= getApprovalThreshold(proposal.institution)) {
+            _executeProposal(proposal);
+        }
+    }
+
+    /// @notice Ensures a proposal belongs to the caller's institution and is still pending
+    function _checkPendingProposal(Proposal storage proposal) private view {
+        require(proposal.institution == getSignatoryInstitution(msg.sender), "Not the proposing institution");
+        require(proposal.credentialId == 0, "Proposal already executed");
+        require(!proposal.isCancelled, "Proposal cancelled");
+    }
+
+    /// @notice Issues the credential of a proposal and links the two
+    function _executeProposal(Proposal storage proposal) private {
+        CredentialRequest storage request = proposal.request;
+        uint256 credentialId = _issueCredential(
+            request.student,
+            request.certificateHash,
+            request.ipfsHash,
+            request.metadata,
+            request.validFrom,
+            request.validUntil,
+            proposal.institution,
+            proposal.proposer
+        );
+        proposal.credentialId = credentialId;
+        credentialProposals[credentialId] = proposal.id;
+        emit ProposalExecuted(proposal.id, credentialId);
+    }
+
+    /// @notice Cancels a pending proposal
+    /// @dev Callable by the proposer and by the institution itself
+    function cancelProposal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
         require(
-            students.length == certificateHashes.length &&
-            certificateHashes.length == ipfsHashes.length &&
-            ipfsHashes.length == metadataArray.length,
-            "Array lengths do not match"
+            msg.sender == proposal.proposer || msg.sender == proposal.institution,
+            "Not the proposer or institution"
         );
+        require(proposal.credentialId == 0, "Proposal already executed");
+        require(!proposal.isCancelled, "Proposal cancelled");
 
-        uint256[] memory issuedIds = new uint256[](students.length);
+        proposal.isCancelled = true;
+        emit ProposalCancelled(proposalId, proposal.institution, msg.sender);
+    }
 
-        for (uint256 i = 0; i < students.length; i++) {
-            issuedIds[i] = this.issueCredential(
-                students[i],
-                certificateHashes[i],
-                ipfsHashes[i],
-                metadataArray[i]
-            );
+    /// @notice Retrieves proposal information by ID
+    /// @return Proposal struct containing the request and its approvers
+    function getProposal(uint256 proposalId)
+        external
+        view
+        proposalExists(proposalId)
+        returns (Proposal memory)
+    {
+        return proposals[proposalId];
+    }
+
+    /// @notice Gets all proposal IDs of an institution, pending or not
+    /// @return Array of proposal IDs
+    function getInstitutionProposals(address institution)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return institutionProposals[institution];
+    }
+
+    /// @notice Returns the proposal a credential was issued from
+    /// @return Proposal ID, or 0 if the credential was issued directly
+    function getCredentialProposal(uint256 credentialId)
+        external
+        view
+        credentialExists(credentialId)
+        returns (uint256)
+    {
+        return credentialProposals[credentialId];
+    }
+
+    // Cohort Issuance
+    /// @notice Anchors the Merkle root of a cohort of credentials in a single transaction
+    /// @dev Callable by registered institutions, and by their Issuer signatories while the approval
+    ///      threshold is 1. Leaves must be built with cohortLeaf; students receive their proof in the
+    ///      credential metadata
+    /// @param merkleRoot Root of the Merkle tree over all credential leaves
+    /// @param credentialCount Number of credentials in the cohort
+    /// @param ipfsHash IPFS hash of the cohort manifest
+    /// @param validFrom Start of the validity window, 0 for valid from anchoring
+    /// @param validUntil End of the validity window, 0 for credentials that never expire
+    function anchorCohort(
+        bytes32 merkleRoot,
+        uint256 credentialCount,
+        string calldata ipfsHash,
+        uint256 validFrom,
+        uint256 validUntil
+    ) external onlySignatory(SignatoryRole.Issuer) withoutApproval whenNotPaused returns (uint256) {
+        require(merkleRoot != bytes32(0), "Invalid Merkle root");
+        require(credentialCount > 0, "Empty cohort");
+        require(bytes(ipfsHash).length > 0, "Invalid IPFS hash");
+        require(validUntil == 0 || validUntil > validFrom, "Invalid validity window");
+
+        uint256 cohortId = _cohortIds.current();
+        address institution = getSignatoryInstitution(msg.sender);
+
+        cohorts[cohortId] = Cohort({
+            id: cohortId,
+            institution: institution,
+            merkleRoot: merkleRoot,
+            ipfsHash: ipfsHash,
+            credentialCount: credentialCount,
+            timestamp: block.timestamp,
+            validFrom: validFrom,
+            validUntil: validUntil,
+            issuedBy: msg.sender
+        });
+        institutionCohorts[institution].push(cohortId);
+
+        emit CohortAnchored(cohortId, institution, merkleRoot, credentialCount, ipfsHash, msg.sender);
+
+        _cohortIds.increment();
+        return cohortId;
+    }
+
+    /// @notice Revokes a single credential within a cohort
+    /// @dev Only the institution that anchored the cohort and its Revoker signatories can revoke its leaves
+    /// @param leaf Leaf of the credential, as returned by cohortLeaf
+    /// @param reason Reason code for the revocation
+    /// @param justificationCid IPFS CID of a document justifying the revocation, may be empty
+    function revokeCohortCredential(
+        uint256 cohortId,
+        bytes32 leaf,
+        RevocationReason reason,
+        string calldata justificationCid
+    )
+        external
+        onlySignatory(SignatoryRole.Revoker)
+        cohortExists(cohortId)
+    {
+        address institution = cohorts[cohortId].institution;
+        _checkIssuingInstitution(institution);
+        require(!revokedCohortLeaves[cohortId][leaf], "Credential already revoked");
+
+        revokedCohortLeaves[cohortId][leaf] = true;
+        emit CohortCredentialRevoked(cohortId, leaf, institution, reason, justificationCid, msg.sender);
+    }
+
+    /// @notice Computes the Merkle leaf of a cohort credential
+    /// @dev Double-hashed to prevent second preimage attacks with inner nodes
+    function cohortLeaf(address student, bytes32 certificateHash) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(student, certificateHash))));
+    }
+
+    /// @notice Checks that a credential is included in a cohort
+    /// @param proof Merkle proof from the credential metadata
+    /// @return bool indicating if the credential is part of the cohort
+    function verifyCohortCredential(
+        uint256 cohortId,
+        address student,
+        bytes32 certificateHash,
+        bytes32[] calldata proof
+    ) external view cohortExists(cohortId) returns (bool) {
+        return MerkleProof.verifyCalldata(proof, cohorts[cohortId].merkleRoot, cohortLeaf(student, certificateHash));
+    }
+
+    /// @notice Returns the effective status of a cohort credential at the current block time
+    /// @dev Does not check inclusion; call verifyCohortCredential for that
+    function getCohortCredentialStatus(uint256 cohortId, bytes32 leaf)
+        external
+        view
+        cohortExists(cohortId)
+        returns (CredentialStatus)
+    {
+        if (revokedCohortLeaves[cohortId][leaf]) {
+            return CredentialStatus.Revoked;
         }
+        Cohort storage cohort = cohorts[cohortId];
+        return _windowStatus(cohort.validFrom, cohort.validUntil);
+    }
 
-        return issuedIds;
+    /// @notice Retrieves cohort information by ID
+    /// @return Cohort struct containing all cohort information
+    function getCohort(uint256 cohortId)
+        external
+        view
+        cohortExists(cohortId)
+        returns (Cohort memory)
+    {
+        return cohorts[cohortId];
+    }
+
+    /// @notice Gets all cohort IDs anchored by an institution
+    /// @return Array of cohort IDs
+    function getInstitutionCohorts(address institution)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return institutionCohorts[institution];
     }
 }
@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICredentialToken.sol";
+
+/// @title Credential Token
+/// @notice Soulbound ERC-721 token (ERC-5192) representing an academic credential in wallets
+/// @dev Token IDs equal AcademicCredentials credential IDs. Tokens are minted locked and can only be
+///      minted and burned by the credentials contract; every transfer and approval reverts
+contract CredentialToken is ICredentialToken {
+    string public constant name = "Academic Credential";
+    string public constant symbol = "CRED";
+
+    /// @notice AcademicCredentials contract allowed to mint and burn tokens
+    address public immutable credentials;
+
+    // Mappings
+    mapping(uint256 => address) private owners;        // Maps token ID to its owner
+    mapping(address => uint256) private balances;      // Maps owner to their number of tokens
+    mapping(uint256 => string) private metadataCids;   // Maps token ID to the credential's IPFS metadata CID
+
+    // Events (ERC-721)
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    // Events (ERC-5192); tokens are never unlocked, so Unlocked is not declared
+    event Locked(uint256 tokenId);
+
+    // Modifiers
+    /// @notice Ensures caller is the credentials contract
+    modifier onlyCredentials() {
+        require(msg.sender == credentials, "Caller is not the credentials contract");
+        _;
+    }
+
+    /// @notice Ensures the token exists
+    modifier tokenExists(uint256 tokenId) {
+        require(owners[tokenId] != address(0), "Token does not exist");
+        _;
+    }
+
+    /// @param credentialsContract Address of the AcademicCredentials contract
+    constructor(address credentialsContract) {
+        require(credentialsContract != address(0), "Invalid credentials contract");
+        credentials = credentialsContract;
+    }
+
+    // Minting and Burning
+    /// @notice Mints the locked token of a credential to its student
+    /// @param metadataCid IPFS CID of the credential metadata, used as tokenURI
+    function mint(address to, uint256 tokenId, string calldata metadataCid) external onlyCredentials {
+        require(to != address(0), "Invalid owner address");
+        require(owners[tokenId] == address(0), "Token already minted");
+
+        owners[tokenId] = to;
+        balances[to]++;
+        metadataCids[tokenId] = metadataCid;
+
+        emit Transfer(address(0), to, tokenId);
+        emit Locked(tokenId);
+    }
+
+    /// @notice Burns the token of a credential
+    /// @dev Does nothing for credentials without a token, e.g. ones never accepted or issued before the token existed
+    function burn(uint256 tokenId) external onlyCredentials {
+        address owner = owners[tokenId];
+        if (owner == address(0)) {
+            return;
+        }
+
+        balances[owner]--;
+        delete owners[tokenId];
+        delete metadataCids[tokenId];
+
+        emit Transfer(owner, address(0), tokenId);
+    }
+
+    // View Functions
+    /// @notice Counts the tokens held by an address
+    function balanceOf(address owner) external view returns (uint256) {
+        require(owner != address(0), "Invalid owner address");
+        return balances[owner];
+    }
+
+    /// @notice Returns the owner of a token
+    function ownerOf(uint256 tokenId) external view tokenExists(tokenId) returns (address) {
+        return owners[tokenId];
+    }
+
+    /// @notice Returns the metadata URI of a token
+    /// @return ipfs:// URI of the credential metadata
+    function tokenURI(uint256 tokenId) external view tokenExists(tokenId) returns (string memory) {
+        return string.concat("ipfs://", metadataCids[tokenId]);
+    }
+
+    /// @notice Returns whether a token is locked (ERC-5192)
+    /// @dev Always true, credential tokens are never transferable
+    function locked(uint256 tokenId) external view tokenExists(tokenId) returns (bool) {
+        return true;
+    }
+
+    /// @notice Returns the approved address of a token, always none for soulbound tokens
+    function getApproved(uint256 tokenId) external view tokenExists(tokenId) returns (address) {
+        return address(0);
+    }
+
+    /// @notice Returns whether an operator is approved for an owner, always false for soulbound tokens
+    function isApprovedForAll(address, address) external pure returns (bool) {
+        return false;
+    }
+
+    /// @notice ERC-165 interface detection
+    /// @return bool indicating support for ERC-165, ERC-721, ERC-721 Metadata and ERC-5192
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 // ERC-165
+            || interfaceId == 0x80ac58cd // ERC-721
+            || interfaceId == 0x5b5e139f // ERC-721 Metadata
+            || interfaceId == 0xb45a3c0e; // ERC-5192
+    }
+
+    // Transfers and Approvals (disabled)
+    function transferFrom(address, address, uint256) external pure {
+        revert("Credential tokens are soulbound");
+    }
+
+    function safeTransferFrom(address, address, uint256) external pure {
+        revert("Credential tokens are soulbound");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes calldata) external pure {
+        revert("Credential tokens are soulbound");
+    }
+
+    function approve(address, uint256) external pure {
+        revert("Credential tokens are soulbound");
+    }
+
+    function setApprovalForAll(address, bool) external pure {
+        revert("Credential tokens are soulbound");
+    }
+}
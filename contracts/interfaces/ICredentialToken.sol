@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title Credential Token Interface
+/// @notice Minting and burning hooks the credentials contract calls on its soulbound token
+interface ICredentialToken {
+    /// @notice Mints the locked token of a credential to its student
+    function mint(address to, uint256 tokenId, string calldata metadataCid) external;
+
+    /// @notice Burns the token of a credential, if one was minted
+    function burn(uint256 tokenId) external;
+}
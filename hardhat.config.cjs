@@ -1,6 +1,8 @@
 // Import required Hardhat plugins and environment configuration
 require("@nomicfoundation/hardhat-toolbox");
 require('dotenv').config({ path: '.env', override: true });
+// Contract administration tasks (register-institution, issue, revoke, pause, ...)
+require("./tasks/admin.cjs");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -8,9 +10,10 @@ module.exports = {
   solidity: {
     version: "0.8.19",    // Solidity version to use
     settings: {
+      viaIR: true,        // IR pipeline keeps AcademicCredentials under the 24KB contract size limit
       optimizer: {
         enabled: true,    // Enable the Solidity optimizer
-        runs: 200         // Number of optimizer runs
+        runs: 50          // Few runs favour code size, AcademicCredentials is close to the 24KB limit
       }
     }
   },
@@ -25,6 +28,12 @@ module.exports = {
     localhost: {
       url: "http://127.0.0.1:7545",  // Ganache RPC URL
       chainId: 1337,                 // Chain ID matching Ganache
+    },
+    // Sepolia testnet, deployed to from the PRIVATE_KEY account
+    sepolia: {
+      url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
+      chainId: 11155111,
+      accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : []
     }
   },
 
@@ -1,41 +1,220 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
 const hre = require("hardhat");
+const { MANIFEST_PATH, readManifest, writeManifest } = require("./manifest.cjs");
+
+// Networks that only exist on the developer's machine, where test-only setup runs
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Reads the deployment config named by DEPLOY_CONFIG
+ * See scripts/deploy.config.example.json for the format
+ * @returns {Object} { owner, institutions }, owner null when ownership stays with the deployer
+ * @throws {Error} If the file cannot be read or an entry is invalid
+ */
+function readConfig() {
+  if (!process.env.DEPLOY_CONFIG) {
+    return { owner: null, institutions: [] };
+  }
+  const config = JSON.parse(fs.readFileSync(process.env.DEPLOY_CONFIG, "utf8"));
+  const { owner = null, institutions = [] } = config;
+  if (owner !== null && !hre.ethers.isAddress(owner)) {
+    throw new Error(`Invalid owner address in ${process.env.DEPLOY_CONFIG}: ${owner}`);
+  }
+  for (const institution of institutions) {
+    if (!hre.ethers.isAddress(institution.address) || !institution.name) {
+      throw new Error(`Institutions in ${process.env.DEPLOY_CONFIG} need an address and a name`);
+    }
+  }
+  return { owner, institutions };
+}
+
+/**
+ * Identifies the commit the contracts are deployed from
+ * @returns {string|null} Commit hash, suffixed with -dirty for uncommitted changes, or null outside git
+ */
+function gitCommit() {
+  try {
+    const commit = execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+    // The manifest itself changes with every deployment, so it does not count as a local change
+    const dirty = execSync(`git status --porcelain -- ":/" ":(top,exclude)${path.basename(MANIFEST_PATH)}"`, {
+      stdio: ["ignore", "pipe", "ignore"]
+    }).toString().trim();
+    return dirty ? `${commit}-dirty` : commit;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hashes a contract's ABI, so the manifest shows which interface a deployment exposes
+ * @param {string} contractName - Name of the compiled contract
+ * @returns {Promise<string>} keccak256 hash of the ABI JSON
+ */
+async function abiHash(contractName) {
+  const { abi } = await hre.artifacts.readArtifact(contractName);
+  return hre.ethers.id(JSON.stringify(abi));
+}
+
+/**
+ * Checks whether a contract recorded in the manifest can be reused instead of redeployed
+ * @param {Object|undefined} recorded - Manifest entry of the contract on this chain
+ * @param {string} contractName - Name of the compiled contract
+ * @returns {Promise<boolean>} Whether the contract is still on chain with the current ABI
+ */
+async function isReusable(recorded, contractName) {
+  if (!recorded || process.env.REDEPLOY === "true") return false;
+  if (await hre.ethers.provider.getCode(recorded.address) === "0x") {
+    console.log(`${contractName} at ${recorded.address} no longer exists, redeploying`);
+    return false;
+  }
+  if (recorded.abiHash !== await abiHash(contractName)) {
+    console.log(`${contractName} at ${recorded.address} has an outdated ABI, redeploying`);
+    return false;
+  }
+  return true;
+}
 
 /**
- * Main deployment function for the AcademicCredentials smart contract
+ * Deploys a contract, or attaches to the one recorded in the manifest when it can be reused
+ * @param {string} contractName - Name of the compiled contract
+ * @param {Object|undefined} recorded - Manifest entry of the contract on this chain
+ * @param {string|null} commit - Commit the contract is deployed from, kept as recorded on reuse
+ * @param {Array} args - Constructor arguments
+ * @returns {Promise<Object>} { contract, entry }, entry being the contract's manifest entry
+ */
+async function deployOrReuse(contractName, recorded, commit, args = []) {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  if (await isReusable(recorded, contractName)) {
+    console.log(`${contractName} already deployed at ${recorded.address}, reusing it`);
+    return { contract: factory.attach(recorded.address), entry: recorded };
+  }
+
+  console.log(`Deploying ${contractName}...`);
+  const contract = await factory.deploy(...args);
+  // Wait until the deployment transaction is confirmed
+  const receipt = await contract.deploymentTransaction().wait();
+  const address = await contract.getAddress();
+  console.log(`${contractName} deployed to: ${address}`);
+  return {
+    contract,
+    entry: { address, blockNumber: receipt.blockNumber, abiHash: await abiHash(contractName), commit }
+  };
+}
+
+/**
+ * Registers an institution unless it is already in the registry, suspended ones included
+ * @param {Object} academicCredentials - Deployed AcademicCredentials contract
+ * @param {string} address - Wallet address of the institution
+ * @param {Object} profile - Registry profile (name, country, accreditationNumber, website, profileCid)
+ */
+async function registerInstitution(academicCredentials, address, profile) {
+  // Registered institutions, suspended or not, always have an accreditation chain
+  if ((await academicCredentials.getAccreditationChain(address)).length > 0) {
+    console.log(`${profile.name} (${address}) is already registered`);
+    return;
+  }
+  const tx = await academicCredentials.registerInstitution(address, {
+    name: profile.name,
+    country: profile.country || "",
+    accreditationNumber: profile.accreditationNumber || "",
+    website: profile.website || "",
+    profileCid: profile.profileCid || ""
+  });
+  await tx.wait(); // Wait for the registration transaction to be confirmed
+  console.log(`${profile.name} (${address}) registered as institution`);
+}
+
+/**
+ * Main deployment function for the AcademicCredentials and CredentialToken smart contracts
+ * Safe to re-run: contracts still on chain with the current ABI are reused (set REDEPLOY=true
+ * to replace them) and configuration steps that are already done are skipped
  */
 async function main() {
   try {
     console.log("Starting deployment...");
 
-    // Get the contract factory for AcademicCredentials
-    const AcademicCredentials = await hre.ethers.getContractFactory("AcademicCredentials");
-    
-    // Deploy the contract to the network
-    console.log("Deploying AcademicCredentials...");
-    const academicCredentials = await AcademicCredentials.deploy();
-    // Wait until the deployment transaction is confirmed
-    await academicCredentials.waitForDeployment();
+    const config = readConfig();
+    const [deployer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const isLocal = LOCAL_NETWORKS.includes(hre.network.name);
+    const recorded = readManifest()[chainId]?.contracts || {};
+    const commit = gitCommit();
 
-    // Retrieve the deployed contract's address
-    const address = await academicCredentials.getAddress();
-    console.log(`AcademicCredentials deployed to: ${address}`);
+    const { contract: academicCredentials, entry: credentialsEntry } =
+      await deployOrReuse("AcademicCredentials", recorded.AcademicCredentials, commit);
+    const address = credentialsEntry.address;
 
-    // Get the address of the account that deployed the contract
-    const [deployer] = await hre.ethers.getSigners();
-    console.log(`Contract deployed by: ${deployer.address}`);
+    // The token is bound to one AcademicCredentials contract, so a new one needs a new token
+    const { entry: tokenEntry } = await deployOrReuse(
+      "CredentialToken",
+      credentialsEntry === recorded.AcademicCredentials ? recorded.CredentialToken : undefined,
+      commit,
+      [address]
+    );
+    const tokenAddress = tokenEntry.address;
+
+    // The in-process Hardhat network disappears with this script, so there is nothing to record
+    if (hre.network.name !== "hardhat") {
+      writeManifest({
+        chainId: Number(chainId),
+        network: hre.network.name,
+        contracts: {
+          AcademicCredentials: credentialsEntry,
+          CredentialToken: tokenEntry
+        }
+      });
+      console.log(`Deployment recorded in ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+    }
+
+    // Owner-only setup is skipped once ownership was handed over on an earlier run
+    const owner = await academicCredentials.owner();
+    const isOwner = owner === deployer.address;
+    console.log(`Contract owned by: ${owner}`);
+
+    if (await academicCredentials.credentialToken() !== tokenAddress) {
+      if (!isOwner) throw new Error("CredentialToken cannot be linked, the deployer is no longer the owner");
+      const linkTx = await academicCredentials.setCredentialToken(tokenAddress);
+      await linkTx.wait();
+      console.log("CredentialToken linked to AcademicCredentials");
+    }
+
+    // For testing purposes, register the deployer as an institution on local networks
+    if (isLocal && isOwner) {
+      await registerInstitution(academicCredentials, deployer.address, {
+        name: process.env.INSTITUTION_NAME || "Development Institution",
+        country: process.env.INSTITUTION_COUNTRY,
+        accreditationNumber: process.env.INSTITUTION_ACCREDITATION,
+        website: process.env.INSTITUTION_WEBSITE,
+        profileCid: process.env.INSTITUTION_PROFILE_CID
+      });
+    }
+
+    // Initial institutions from the deployment config
+    if (config.institutions.length > 0 && !isOwner) {
+      console.log("Skipping institution registration, the deployer is no longer the owner");
+    } else {
+      for (const { address: institution, ...profile } of config.institutions) {
+        await registerInstitution(academicCredentials, institution, profile);
+      }
+    }
 
-    // For testing purposes, register the deployer as an institution
-    console.log("Registering deployer as institution...");
-    const tx = await academicCredentials.registerInstitution(deployer.address);
-    await tx.wait(); // Wait for the registration transaction to be confirmed
-    console.log("Deployer registered as institution");
+    // Hand the contract over last, every step above needs the deployer to own it
+    if (config.owner && owner.toLowerCase() !== config.owner.toLowerCase()) {
+      if (!isOwner) throw new Error(`Ownership cannot be transferred, the contract is owned by ${owner}`);
+      const transferTx = await academicCredentials.transferOwnership(config.owner);
+      await transferTx.wait();
+      console.log(`Ownership transferred to ${config.owner}`);
+    }
 
-    // Output important deployment information for frontend configuration
+    // Output important deployment information
     console.log("\n=== Deployment Information ===");
     console.log("Contract Address:", address);
-    console.log("Owner Address:", deployer.address);
-    console.log("Network:", hre.network.name);
-    console.log("=== Save these addresses for your frontend .env! ===\n");
+    console.log("Credential Token Address:", tokenAddress);
+    console.log("Owner Address:", await academicCredentials.owner());
+    console.log("Network:", hre.network.name, `(chain ${chainId})`);
+    console.log("=== The frontend reads these addresses from deployments.json ===\n");
 
   } catch (error) {
     // Log any errors that occur during deployment and exit with error code
@@ -50,4 +229,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1); // Exit with error code if deployment fails
-  }); 
\ No newline at end of file
+  });
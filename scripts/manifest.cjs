@@ -0,0 +1,28 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployment manifest read by the frontend, keyed by chain ID
+const MANIFEST_PATH = path.join(__dirname, "..", "deployments.json");
+
+/**
+ * Reads the deployment manifest
+ * @returns {Object} Manifest keyed by chain ID, empty if none was written yet
+ */
+function readManifest() {
+  return fs.existsSync(MANIFEST_PATH)
+    ? JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"))
+    : {};
+}
+
+/**
+ * Records the deployed contracts in the deployment manifest, replacing any earlier
+ * deployment on the same chain and keeping the other chains' entries
+ * @param {Object} deployment - Manifest entry for the current chain
+ */
+function writeManifest(deployment) {
+  const manifest = readManifest();
+  manifest[deployment.chainId] = deployment;
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+module.exports = { MANIFEST_PATH, readManifest, writeManifest };
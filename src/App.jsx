@@ -7,6 +7,7 @@ import About from './pages/About'
 import SignIn from './pages/SignIn'
 import IntroAnimation from './components/IntroAnimation'
 import CredentialUpload from './pages/CredentialUpload'
+import BulkCredentialUpload from './pages/BulkCredentialUpload'
 import CredentialVerification from './pages/CredentialVerification'
 import FAQ from './pages/FAQ'
 import QAForm from './pages/QAForm';
@@ -14,6 +15,7 @@ import QAFormInstitute from './pages/QAFormInstitute'
 // Component imports
 import Navbar from './components/Navbar'
 import Footer from './components/Footer'
+import NetworkBanner from './components/NetworkBanner'
 // Context imports
 import { AuthProvider, useAuth } from './contexts/AuthContext'
 import { Web3Provider } from './contexts/Web3Context'
@@ -69,6 +71,7 @@ function App() {
               <Route path="dashboard" element={<InstituteDashboard />} />
               <Route path="profile" element={<Profile />} />
               <Route path="upload-credential" element={<CredentialUpload />} />
+              <Route path="bulk-upload" element={<BulkCredentialUpload />} />
             </Route>
 
             {/* Route for unauthorized access attempts */}
@@ -131,12 +134,13 @@ function PublicLayout() {
 
 /**
  * Layout component for protected pages
- * Similar to PublicLayout but used for authenticated routes
+ * Similar to PublicLayout but used for authenticated routes, with a wrong-network warning
  */
 function ProtectedLayout() {
   return (
     <div className="flex flex-col min-h-screen">
       <Navbar />
+      <NetworkBanner />
       <main className="flex-grow">
         <Outlet />
       </main>
@@ -0,0 +1,62 @@
+/**
+ * CredentialStatusBadge Component
+ * Displays the effective on-chain status of a credential
+ * Accepts one of the credentialStatuses values from utils/schema
+ */
+import PropTypes from 'prop-types';
+import { credentialStatuses } from '../utils/schema';
+
+// Label and colour for each status
+const STATUS_STYLES = {
+  'valid': {
+    label: 'Valid',
+    className: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300'
+  },
+  'not-yet-valid': {
+    label: 'Not Yet Valid',
+    className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300'
+  },
+  'expired': {
+    label: 'Expired',
+    className: 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+  },
+  'revoked': {
+    label: 'Revoked',
+    className: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300'
+  },
+  'suspended': {
+    label: 'Suspended',
+    className: 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-300'
+  },
+  'offered': {
+    label: 'Awaiting Acceptance',
+    className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300'
+  },
+  'declined': {
+    label: 'Declined',
+    className: 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-400'
+  },
+  'superseded': {
+    label: 'Superseded',
+    className: 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300'
+  }
+};
+
+function CredentialStatusBadge({ status }) {
+  const style = STATUS_STYLES[status];
+  // Render nothing for unknown or not-yet-loaded statuses
+  if (!style) return null;
+
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+      {style.label}
+    </span>
+  );
+}
+
+CredentialStatusBadge.propTypes = {
+  // Undefined while the status is still loading
+  status: PropTypes.oneOf(credentialStatuses)
+};
+
+export default CredentialStatusBadge;
@@ -1,10 +1,10 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ipfsService } from '../services/ipfsService';
+import { storage } from '../services/storage';
 
 /**
  * IPFSStatus Component
- * Displays a floating status indicator for IPFS connection
+ * Displays a floating status indicator for the configured storage backend
  * Includes detailed troubleshooting information and connection checking
  */
 function IPFSStatus() {
@@ -16,18 +16,18 @@ function IPFSStatus() {
   const [corsError, setCorsError] = useState(false);       // Specific flag for CORS errors
 
   /**
-   * Attempts to connect to IPFS node and updates status
+   * Attempts to connect to the storage backend and updates status
    * Handles different types of errors, including CORS issues
    */
   const checkConnection = async () => {
     try {
-      const nodeInfo = await ipfsService.testConnection();
-      if (nodeInfo) {
+      const connected = await storage.testConnection();
+      if (connected) {
         setStatus('connected');
         setErrorMessage('');
         setCorsError(false);
       } else {
-        throw new Error('Cannot connect to IPFS node');
+        throw new Error(`Cannot connect to ${storage.label}`);
       }
     } catch (error) {
       console.error('IPFS connection error:', error);
@@ -69,9 +69,9 @@ function IPFSStatus() {
    */
   const getStatusText = () => {
     switch (status) {
-      case 'connected': return 'IPFS Connected';
-      case 'error': return 'IPFS Error';
-      default: return 'Checking IPFS...';
+      case 'connected': return `${storage.label} Connected`;
+      case 'error': return `${storage.label} Error`;
+      default: return `Checking ${storage.label}...`;
     }
   };
 
@@ -97,11 +97,17 @@ function IPFSStatus() {
             </li>
             <li>Save settings and restart IPFS Desktop</li>
           </>
+        ) : storage.name === 'pinata' ? (
+          // Pinata troubleshooting steps
+          <>
+            <li>Check VITE_PINATA_API_KEY and VITE_PINATA_API_SECRET</li>
+            <li>Check your internet connection</li>
+          </>
         ) : (
           // General troubleshooting steps
           <>
             <li>Ensure IPFS Desktop is running</li>
-            <li>Check your internet connection</li>
+            <li>Check VITE_IPFS_API_URL points at its API port</li>
             <li>Try restarting IPFS Desktop</li>
           </>
         )}
@@ -141,9 +147,12 @@ function IPFSStatus() {
                          bg-white dark:bg-gray-800 rounded-lg shadow-xl"
             >
               <h3 className="font-medium text-gray-900 dark:text-white mb-2">
-                IPFS Status Details
+                Storage Status Details
               </h3>
               <div className="space-y-2 text-sm">
+                <p className="text-gray-600 dark:text-gray-400">
+                  Backend: {storage.label}
+                </p>
                 <p className="text-gray-600 dark:text-gray-400">
                   Status: {getStatusText()}
                 </p>
@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { toast } from 'react-hot-toast'
+import { useWeb3 } from '../contexts/Web3Context'
+
+/**
+ * IssuancePolicy Component
+ * Lets an institution's admin wallet configure the approval threshold for
+ * proposed credentials and whether students must accept new credentials
+ */
+function IssuancePolicy() {
+  const { account, isInstitution, contract, web3Service } = useWeb3()
+
+  const [threshold, setThreshold] = useState(1)          // Approvals required per proposed credential
+  const [claimRequired, setClaimRequired] = useState(false) // Whether students must accept credentials
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Load the current policy from the contract
+  useEffect(() => {
+    if (!contract || !account || !isInstitution) return
+    web3Service.getApprovalThreshold(account)
+      .then(setThreshold)
+      .catch(error => console.error('Error loading approval threshold:', error))
+    web3Service.isClaimRequired(account)
+      .then(setClaimRequired)
+      .catch(error => console.error('Error loading claim requirement:', error))
+  }, [contract, account, isInstitution, web3Service])
+
+  /**
+   * Saves the number of approvals required for proposed credentials
+   */
+  const handleThresholdSave = async () => {
+    setIsSubmitting(true)
+    try {
+      await web3Service.setApprovalThreshold(threshold)
+      toast.success('Approval threshold updated')
+    } catch (error) {
+      console.error('Error updating approval threshold:', error)
+      toast.error(error.reason || 'Failed to update approval threshold')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  /**
+   * Toggles whether students must accept new credentials
+   */
+  const handleClaimToggle = async () => {
+    setIsSubmitting(true)
+    try {
+      await web3Service.setClaimRequired(!claimRequired)
+      setClaimRequired(!claimRequired)
+      toast.success(!claimRequired
+        ? 'Students must now accept new credentials'
+        : 'New credentials are now final on issuance')
+    } catch (error) {
+      console.error('Error updating claim requirement:', error)
+      toast.error(error.reason || 'Failed to update claim requirement')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  // Only the institution's registered wallet can change its policy
+  if (!isInstitution) return null
+
+  return (
+    <motion.div
+      className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6 mb-8"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Issuance Policy</h2>
+
+      <div className="space-y-4 text-sm text-gray-700 dark:text-gray-300">
+        {/* Approval Threshold */}
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <label htmlFor="approval-threshold">
+            Approvals required for proposed credentials (at most your Issuer signatories plus this wallet)
+          </label>
+          <input
+            id="approval-threshold"
+            type="number"
+            min="1"
+            value={threshold}
+            onChange={(e) => setThreshold(Math.max(1, Number(e.target.value)))}
+            className="w-20 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md
+                     bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          <button
+            type="button"
+            onClick={handleThresholdSave}
+            disabled={isSubmitting}
+            className="px-4 py-2 border border-primary-600 text-primary-600 dark:text-primary-400 rounded-md
+                     hover:bg-primary-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+
+        {/* Student Claim Requirement */}
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={claimRequired}
+            onChange={handleClaimToggle}
+            disabled={isSubmitting}
+            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          Students must accept new credentials before they become valid
+        </label>
+      </div>
+    </motion.div>
+  )
+}
+
+export default IssuancePolicy
@@ -0,0 +1,50 @@
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { useWeb3 } from '../contexts/Web3Context'
+
+/**
+ * NetworkBanner Component
+ * Warns when the connected wallet is on a chain the contract is not deployed on
+ * and offers to switch to the configured network, adding it to the wallet if needed
+ */
+function NetworkBanner() {
+  const { account, chainId, network, expectedNetwork, isCorrectNetwork, switchNetwork } = useWeb3()
+  const [isSwitching, setIsSwitching] = useState(false)
+
+  /**
+   * Asks the wallet to switch to the expected network
+   */
+  const handleSwitch = async () => {
+    setIsSwitching(true)
+    try {
+      await switchNetwork()
+    } catch (error) {
+      console.error('Error switching network:', error)
+      toast.error(error.message || 'Failed to switch network')
+    } finally {
+      setIsSwitching(false)
+    }
+  }
+
+  // Nothing to fix without a wallet, or once the wallet is on a chain with a deployment
+  if (!account || chainId === null || isCorrectNetwork) return null
+
+  return (
+    <div className="bg-yellow-50 dark:bg-yellow-900/20 border-b border-yellow-200 dark:border-yellow-800 px-6 py-3
+                    flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+      <p className="text-sm text-yellow-800 dark:text-yellow-200">
+        Your wallet is on {network ? network.name : `chain ${chainId}`}, where the credentials
+        contract is not deployed. Issuing is disabled until you switch to {expectedNetwork.name}.
+      </p>
+      <button
+        onClick={handleSwitch}
+        disabled={isSwitching}
+        className="px-4 py-2 text-sm bg-yellow-600 text-white rounded-md hover:bg-yellow-700 disabled:opacity-50"
+      >
+        {isSwitching ? 'Switching...' : `Switch to ${expectedNetwork.name}`}
+      </button>
+    </div>
+  )
+}
+
+export default NetworkBanner
@@ -0,0 +1,191 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { toast } from 'react-hot-toast'
+import { useWeb3 } from '../contexts/Web3Context'
+import { updateProposalRecords } from '../services/credentialService'
+
+// Case-insensitive comparison for checksummed and lowercase addresses
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+
+/**
+ * PendingApprovals Component
+ * Queue of proposed credentials awaiting approval by the institution's signatories
+ */
+function PendingApprovals() {
+  const { account, contract, web3Service } = useWeb3()
+
+  const [institution, setInstitution] = useState(null) // Institution the connected wallet signs for
+  const [threshold, setThreshold] = useState(1)         // Approvals required per proposal
+  const [proposals, setProposals] = useState([])        // Pending proposals, oldest first
+  const [busyId, setBusyId] = useState(null)            // Proposal with a transaction in flight
+
+  /**
+   * Loads the institution, its threshold and its pending proposals
+   */
+  const loadProposals = useCallback(async () => {
+    const institutionAddress = await web3Service.getSignatoryInstitution(account)
+    setInstitution(institutionAddress)
+    if (!institutionAddress) return
+    setThreshold(await web3Service.getApprovalThreshold(institutionAddress))
+    setProposals(await web3Service.getPendingProposals(institutionAddress))
+  }, [account, web3Service])
+
+  useEffect(() => {
+    if (!contract || !account) return
+    loadProposals().catch(error => console.error('Error loading proposals:', error))
+  }, [contract, account, loadProposals])
+
+  /**
+   * Links the Firestore record of a proposal to the credential issued in a receipt
+   * @returns {Promise<boolean>} Whether the receipt issued the credential
+   */
+  const linkIssuedCredential = async (proposalId, receipt) => {
+    const issuedEvent = web3Service.findEvent(receipt, 'CredentialIssued')
+    if (!issuedEvent) return false
+    await updateProposalRecords(proposalId, {
+      onChainId: issuedEvent.args.credentialId.toString(),
+      chainId: web3Service.chainId,
+      transactionHash: receipt.hash
+    })
+    toast.success(`Threshold reached, credential #${issuedEvent.args.credentialId} issued`)
+    return true
+  }
+
+  /**
+   * Approves a proposal and links the Firestore record if it was executed
+   */
+  const handleApprove = async (proposalId) => {
+    setBusyId(proposalId)
+    try {
+      const receipt = await web3Service.approveProposal(proposalId)
+      if (!await linkIssuedCredential(proposalId, receipt)) {
+        toast.success('Approval recorded')
+      }
+      await loadProposals()
+    } catch (error) {
+      console.error('Error approving proposal:', error)
+      toast.error(error.reason || 'Failed to approve proposal')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  /**
+   * Issues a proposal that already has enough approvals after the threshold was lowered
+   */
+  const handleExecute = async (proposalId) => {
+    setBusyId(proposalId)
+    try {
+      const receipt = await web3Service.executeProposal(proposalId)
+      await linkIssuedCredential(proposalId, receipt)
+      await loadProposals()
+    } catch (error) {
+      console.error('Error executing proposal:', error)
+      toast.error(error.reason || 'Failed to issue proposal')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  /**
+   * Cancels a proposal
+   */
+  const handleCancel = async (proposalId) => {
+    setBusyId(proposalId)
+    try {
+      await web3Service.cancelProposal(proposalId)
+      toast.success('Proposal cancelled')
+      await loadProposals()
+    } catch (error) {
+      console.error('Error cancelling proposal:', error)
+      toast.error(error.reason || 'Failed to cancel proposal')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Nothing to show for wallets that do not sign for an institution
+  if (!institution) return null
+
+  return (
+    <motion.div
+      className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6 mb-8"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Pending Approvals</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Proposed credentials are issued once {threshold} signator{threshold === 1 ? 'y has' : 'ies have'} approved them.
+      </p>
+
+      {proposals.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No credentials are waiting for approval.</p>
+      ) : (
+        <ul className="space-y-4">
+          {proposals.map(proposal => {
+            const approvedByMe = proposal.approvers.some(approver => sameAddress(approver, account))
+            const canCancel = sameAddress(proposal.proposer, account) || sameAddress(institution, account)
+            // Approved under a higher threshold; no further approval would trigger the issuance
+            const isReady = proposal.approvers.length >= threshold
+            return (
+              <li key={proposal.id} className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div className="flex flex-col md:flex-row md:justify-between gap-3">
+                  <div className="text-sm space-y-1">
+                    <h3 className="text-base font-medium text-gray-900 dark:text-white">Proposal #{proposal.id}</h3>
+                    <p className="text-gray-600 dark:text-gray-300 break-all">Student: {proposal.student}</p>
+                    <p className="text-gray-600 dark:text-gray-300 break-all">Proposed by: {proposal.proposer}</p>
+                    <p className="text-gray-500 dark:text-gray-400">
+                      {new Date(proposal.timestamp * 1000).toLocaleString()} •{' '}
+                      {proposal.approvers.length} of {threshold} approvals •{' '}
+                      <a
+                        href={`https://ipfs.io/ipfs/${proposal.metadata}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-primary-600 dark:text-primary-400 hover:underline"
+                      >
+                        View metadata
+                      </a>
+                    </p>
+                  </div>
+                  <div className="flex items-start gap-2">
+                    {isReady ? (
+                      <button
+                        onClick={() => handleExecute(proposal.id)}
+                        disabled={busyId !== null}
+                        className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700
+                                 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Issue
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => handleApprove(proposal.id)}
+                        disabled={approvedByMe || busyId !== null}
+                        className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700
+                                 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {approvedByMe ? 'Approved' : 'Approve'}
+                      </button>
+                    )}
+                    {canCancel && (
+                      <button
+                        onClick={() => handleCancel(proposal.id)}
+                        disabled={busyId !== null}
+                        className="px-3 py-1.5 text-sm border border-red-600 text-red-600 dark:text-red-400 rounded-md
+                                 hover:bg-red-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </motion.div>
+  )
+}
+
+export default PendingApprovals
@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { ethers } from 'ethers'
+import { toast } from 'react-hot-toast'
+import { useWeb3 } from '../contexts/Web3Context'
+import { useAuth } from '../contexts/AuthContext'
+import { updateUserProfile } from '../services/userService'
+import { signatoryRoles } from '../utils/schema'
+
+// Display label for each signatory role
+const ROLE_LABELS = {
+  issuer: 'Issuer',
+  revoker: 'Revoker'
+}
+
+/**
+ * SignatoryManager Component
+ * Lets an institution's admin wallet grant and revoke issuer and revoker roles for staff wallets
+ */
+function SignatoryManager() {
+  const { account, isInstitution, contract, web3Service } = useWeb3()
+  const { user } = useAuth()
+
+  const [signatories, setSignatories] = useState([])   // Staff wallets and their current roles
+  const [newAddress, setNewAddress] = useState('')     // Wallet to grant a role to
+  const [newRole, setNewRole] = useState('issuer')     // Role to grant
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Load the current signatories from contract events
+  useEffect(() => {
+    if (!contract || !account || !isInstitution) return
+    web3Service.getSignatories(account)
+      .then(setSignatories)
+      .catch(error => console.error('Error loading signatories:', error))
+  }, [contract, account, isInstitution, web3Service])
+
+  /**
+   * Reloads signatories and mirrors their wallets to the institution profile
+   */
+  const refreshSignatories = async () => {
+    const current = await web3Service.getSignatories(account)
+    setSignatories(current)
+    if (user) {
+      await updateUserProfile(user.uid, {
+        authorizedSignatories: current.map(signatory => signatory.address)
+      })
+    }
+  }
+
+  /**
+   * Grants the selected role to the entered wallet
+   */
+  const handleGrant = async (e) => {
+    e.preventDefault()
+    if (!ethers.isAddress(newAddress)) {
+      toast.error('Please enter a valid wallet address')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await web3Service.grantSignatoryRole(newAddress, newRole)
+      toast.success(`${ROLE_LABELS[newRole]} role granted`)
+      setNewAddress('')
+      await refreshSignatories()
+    } catch (error) {
+      console.error('Error granting role:', error)
+      toast.error(error.reason || 'Failed to grant role')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  /**
+   * Revokes one role from a staff wallet
+   */
+  const handleRevoke = async (address, role) => {
+    setIsSubmitting(true)
+    try {
+      await web3Service.revokeSignatoryRole(address, role)
+      toast.success(`${ROLE_LABELS[role]} role revoked`)
+      await refreshSignatories()
+    } catch (error) {
+      console.error('Error revoking role:', error)
+      toast.error(error.reason || 'Failed to revoke role')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <motion.div
+      className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6 mb-8"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Authorized Signatories</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Issuers can issue credentials for your institution; revokers can suspend, reinstate and revoke them.
+      </p>
+
+      {!isInstitution ? (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Connect the institution&apos;s registered wallet to manage signatories.
+        </p>
+      ) : (
+        <>
+          {/* Grant Form */}
+          <form onSubmit={handleGrant} className="flex flex-col md:flex-row gap-3 mb-4">
+            <input
+              type="text"
+              value={newAddress}
+              onChange={(e) => setNewAddress(e.target.value)}
+              placeholder="Staff wallet address (0x...)"
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md
+                       bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <select
+              value={newRole}
+              onChange={(e) => setNewRole(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md
+                       bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {signatoryRoles.map(role => (
+                <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700
+                       disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Grant Role
+            </button>
+          </form>
+
+          {/* Signatory List */}
+          {signatories.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No staff signatories yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {signatories.map(signatory => (
+                <li key={signatory.address} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <span className="font-mono text-sm text-gray-900 dark:text-white break-all">{signatory.address}</span>
+                  <div className="flex gap-2">
+                    {signatory.roles.map(role => (
+                      <button
+                        key={role}
+                        onClick={() => handleRevoke(signatory.address, role)}
+                        disabled={isSubmitting}
+                        title={`Revoke ${ROLE_LABELS[role].toLowerCase()} role`}
+                        className="px-2 py-1 text-xs rounded-full bg-primary-100 text-primary-800
+                                 dark:bg-primary-900/40 dark:text-primary-300 hover:bg-red-100 hover:text-red-800
+                                 disabled:opacity-50"
+                      >
+                        {ROLE_LABELS[role]} ✕
+                      </button>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </motion.div>
+  )
+}
+
+export default SignatoryManager
@@ -3,11 +3,16 @@
  * Contains blockchain and network settings
  */
 const config = {
-    // Local blockchain RPC endpoint (Ganache default)
-    rpcUrl: 'http://localhost:7545',
-    networkId: 1337,
-    networkName: 'Ganache',
+    // JSON-RPC endpoint used for read-only access when no wallet is available (Ganache default)
+    rpcUrl: import.meta.env.VITE_RPC_URL || 'http://localhost:7545',
+    networkId: Number(import.meta.env.VITE_NETWORK_ID) || 1337,
+    networkName: import.meta.env.VITE_NETWORK_NAME || 'Ganache',
     contractAddress: import.meta.env.VITE_CONTRACT_ADDRESS,
+    // Storage backend for certificate files and metadata: 'pinata', 'kubo' or 'memory'
+    storageBackend: import.meta.env.VITE_STORAGE_BACKEND || 'pinata',
+    // Local IPFS (Kubo) node used by the 'kubo' backend
+    ipfsApiUrl: import.meta.env.VITE_IPFS_API_URL || 'http://localhost:5001',
+    ipfsGatewayUrl: import.meta.env.VITE_IPFS_GATEWAY_URL || 'http://localhost:8080/ipfs/',
   };
   
   export default config;
\ No newline at end of file
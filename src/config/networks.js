@@ -0,0 +1,87 @@
+import config from './index';
+import deployments from '../../deployments.json';
+
+/**
+ * Network Registry
+ * Chains the app knows how to reach, keyed by chain ID. The network configured through
+ * VITE_NETWORK_ID is the default one wallets are asked to use; the chains the contract is
+ * actually deployed on come from deployments.json, written by scripts/deploy.cjs
+ */
+export const networks = {
+  // Ganache (default local chain)
+  1337: {
+    chainId: 1337,
+    name: 'Ganache',
+    rpcUrl: 'http://localhost:7545',
+    explorerUrl: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  },
+  // Hardhat Network (npx hardhat node)
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat',
+    rpcUrl: 'http://localhost:8545',
+    explorerUrl: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  },
+  // Sepolia testnet
+  11155111: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    rpcUrl: 'https://rpc.sepolia.org',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 }
+  }
+};
+
+// Network the app is configured for; environment variables override the registry defaults
+const known = networks[config.networkId];
+export const expectedNetwork = {
+  chainId: config.networkId,
+  name: import.meta.env.VITE_NETWORK_NAME || known?.name || config.networkName,
+  rpcUrl: import.meta.env.VITE_RPC_URL || known?.rpcUrl || config.rpcUrl,
+  contractAddress: config.contractAddress || deployments[config.networkId]?.contracts.AcademicCredentials.address,
+  explorerUrl: import.meta.env.VITE_EXPLORER_URL || known?.explorerUrl || null,
+  nativeCurrency: known?.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 }
+};
+
+/**
+ * Looks up a network by chain ID
+ * @param {number} chainId - Chain ID reported by the wallet
+ * @returns {Object|null} Registry entry, or null for unknown chains
+ */
+export const getNetwork = (chainId) => (
+  chainId === expectedNetwork.chainId ? expectedNetwork : networks[chainId] || null
+);
+
+/**
+ * Looks up the credentials contract deployed on a chain
+ * On the configured network VITE_CONTRACT_ADDRESS takes precedence over the manifest
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} { chainId, address, blockNumber }, or null if the contract is not deployed there
+ */
+export const getDeployment = (chainId) => {
+  const deployed = deployments[chainId]?.contracts.AcademicCredentials;
+  const address = chainId === expectedNetwork.chainId ? expectedNetwork.contractAddress : deployed?.address;
+  if (!address) return null;
+  return {
+    chainId,
+    address,
+    // Events cannot predate the deployment, so log queries start at its block
+    blockNumber: deployed?.address === address ? deployed.blockNumber : 0
+  };
+};
+
+/**
+ * Lists the chains a credential can be looked up on: those with a deployment and a known RPC endpoint
+ * @param {number|null} [preferredChainId] - Chain to try first, e.g. the wallet's
+ * @returns {number[]} Chain IDs, the preferred one first, then the configured network
+ */
+export const getDeployedChainIds = (preferredChainId = null) => {
+  const chainIds = [...new Set([
+    preferredChainId,
+    expectedNetwork.chainId,
+    ...Object.keys(deployments).map(Number)
+  ])];
+  return chainIds.filter(chainId => chainId !== null && getDeployment(chainId) && getNetwork(chainId));
+};
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { web3Service } from '../services/web3Service'
+import { expectedNetwork, getNetwork, getDeployment } from '../config/networks'
 
 // Create context for Web3 functionality
 const Web3Context = createContext()
@@ -14,16 +15,20 @@ export function Web3Provider({ children }) {
   const [isInstitution, setIsInstitution] = useState(false) // Institution status
   const [loading, setLoading] = useState(true)         // Loading state
   const [contract, setContract] = useState(null)       // Smart contract instance
+  const [readOnly, setReadOnly] = useState(false)      // Connected through JSON-RPC without a wallet
+  const [chainId, setChainId] = useState(null)         // Chain the wallet is connected to
 
   // Set up Web3 connection and MetaMask event listeners
   useEffect(() => {
     initWeb3()
-    // Listen for MetaMask account changes
+    // Listen for MetaMask account and network changes
     window.ethereum?.on('accountsChanged', handleAccountChange)
+    window.ethereum?.on('chainChanged', handleChainChange)
     
-    // Cleanup event listener on unmount
+    // Cleanup event listeners on unmount
     return () => {
       window.ethereum?.removeListener('accountsChanged', handleAccountChange)
+      window.ethereum?.removeListener('chainChanged', handleChainChange)
     }
   }, [])
 
@@ -45,20 +50,30 @@ export function Web3Provider({ children }) {
 
   /**
    * Initialize Web3 connection
-   * Connects to wallet and sets up contract instance
+   * Connects to wallet and sets up contract instance, falling back to a
+   * read-only connection so credentials can be verified without a wallet
    */
   const initWeb3 = async () => {
     try {
       setLoading(true)
       // Connect to Web3 and get contract instance
-      const { address, contract: web3Contract } = await web3Service.connect()
+      const { address, contract: web3Contract, deployment } = await web3Service.connect()
       setAccount(address)
       setContract(web3Contract)
-      // Check if connected address is an institution
-      const institutionStatus = await web3Service.isInstitution(address)
+      setReadOnly(false)
+      setChainId(web3Service.chainId)
+      // Check if connected address is an institution, once the wallet is on a chain with the contract
+      const institutionStatus = deployment ? await web3Service.isInstitution(address) : false
       setIsInstitution(institutionStatus)
     } catch (error) {
       console.error('Failed to initialize web3:', error)
+      try {
+        const { contract: readOnlyContract } = await web3Service.connectReadOnly()
+        setContract(readOnlyContract)
+        setReadOnly(true)
+      } catch (readOnlyError) {
+        console.error('Failed to initialize read-only access:', readOnlyError)
+      }
     } finally {
       setLoading(false)
     }
@@ -71,18 +86,65 @@ export function Web3Provider({ children }) {
    */
   const handleAccountChange = async (accounts) => {
     if (accounts.length > 0) {
+      // A wallet was connected while read-only, switch the contract over to its signer
+      if (!web3Service.signer) {
+        try {
+          const { contract: web3Contract } = await web3Service.connect()
+          setContract(web3Contract)
+          setReadOnly(false)
+          setChainId(web3Service.chainId)
+        } catch (error) {
+          // Keep the read-only contract, verification still works without the wallet
+          console.error('Failed to connect wallet:', error)
+          return
+        }
+      }
       // New account connected
       setAccount(accounts[0])
-      const institutionStatus = await web3Service.isInstitution(accounts[0])
+      const institutionStatus = web3Service.deployment ? await web3Service.isInstitution(accounts[0]) : false
       setIsInstitution(institutionStatus)
     } else {
-      // All accounts disconnected
+      // All accounts disconnected, keep read-only access for verification
       setAccount(null)
       setIsInstitution(false)
-      setContract(null)
+      try {
+        const { contract: readOnlyContract } = await web3Service.connectReadOnly()
+        setContract(readOnlyContract)
+        setReadOnly(true)
+      } catch (error) {
+        console.error('Failed to initialize read-only access:', error)
+        setContract(null)
+      }
     }
   }
 
+  /**
+   * Handle MetaMask network changes
+   * The wallet's provider is bound to one chain, so the contract is rebuilt from that chain's deployment
+   * @param {string} hexChainId - Hex-encoded chain ID of the new network
+   */
+  const handleChainChange = async (hexChainId) => {
+    setChainId(Number(hexChainId))
+    if (!web3Service.signer) return
+    try {
+      const { address, contract: web3Contract, deployment } = await web3Service.connect()
+      setContract(web3Contract)
+      setIsInstitution(deployment ? await web3Service.isInstitution(address) : false)
+    } catch (error) {
+      console.error('Failed to reconnect after network change:', error)
+    }
+  }
+
+  /**
+   * Asks the wallet to switch to the network the contract is deployed on
+   */
+  const switchNetwork = async () => {
+    await web3Service.switchNetwork(expectedNetwork)
+  }
+
+  // Transactions work on any chain with a deployment; read-only access always targets one
+  const isCorrectNetwork = readOnly || (chainId !== null && !!getDeployment(chainId))
+
   const connect = async () => {
     try {
       const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
@@ -100,6 +162,12 @@ export function Web3Provider({ children }) {
       isInstitution,     // Institution status
       loading,           // Loading state
       contract,          // Smart contract instance
+      readOnly,          // True when verifying without a wallet; transactions are unavailable
+      chainId,           // Chain the wallet is connected to
+      network: getNetwork(chainId), // Registry entry of that chain, null if unknown
+      expectedNetwork,   // Default network wallets are asked to switch to
+      isCorrectNetwork,  // Whether the contract is deployed on the wallet's network
+      switchNetwork,     // Asks the wallet to switch to the expected network
       web3Service,       // Web3 service utilities
       connect: connect  // Connection function
     }}>
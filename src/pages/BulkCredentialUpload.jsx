@@ -0,0 +1,578 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { ethers } from 'ethers'
+import JSZip from 'jszip'
+import { toast } from 'react-hot-toast'
+import { useWeb3 } from '../contexts/Web3Context'
+import { PageTransition } from '../components/PageTransition'
+import { bulkIssuanceService } from '../services/bulkIssuanceService'
+import { cohortService } from '../services/cohortService'
+import { createCredentialRecord, linkCredentialToStudent } from '../services/credentialService'
+import { hashCertificateMetadata } from '../utils/crypto'
+import { parseCSV, toCSV } from '../utils/csv'
+
+// CSV columns, in the order used by the downloadable template
+const CSV_COLUMNS = ['student_wallet', 'student_name', 'credential_type', 'file']
+// Credential types accepted by the single-credential form
+const CREDENTIAL_TYPES = ['degree', 'certificate', 'diploma']
+// Certificate file extensions and their MIME types
+const FILE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  pdf: 'application/pdf'
+}
+
+// Shared input styling, matching the single-credential form
+const inputClassName = `w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md
+                        bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                        focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-transparent`
+
+// Converts a YYYY-MM-DD date input to unix seconds, 0 meaning "no bound"
+const toUnixSeconds = (date) => date ? Math.floor(new Date(date).getTime() / 1000) : 0
+
+// Returns the lowercase extension of a file name
+const getExtension = (name) => name.split('.').pop().toLowerCase()
+
+// Returns the file name without any folder prefix from the ZIP
+const getBaseName = (path) => path.split('/').pop()
+
+/**
+ * Validates parsed CSV rows against the certificate files in the ZIP
+ * @param {Object[]} rows - Rows with studentAddress, studentName, credentialType and fileName
+ * @param {Object} zipEntries - Map of base file name to JSZip entry
+ * @returns {Object[]} Rows with an `errors` array added
+ */
+const validateRows = (rows, zipEntries) => {
+  const seen = new Set()
+  return rows.map(row => {
+    const errors = []
+    if (!ethers.isAddress(row.studentAddress)) errors.push('Invalid wallet address')
+    if (!row.studentName) errors.push('Missing student name')
+    if (!CREDENTIAL_TYPES.includes(row.credentialType.toLowerCase())) {
+      errors.push(`Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}`)
+    }
+    if (!row.fileName) {
+      errors.push('Missing file reference')
+    } else if (!FILE_TYPES[getExtension(row.fileName)]) {
+      errors.push('File must be JPG, JPEG, PNG or PDF')
+    } else if (!zipEntries[row.fileName]) {
+      errors.push('File not found in ZIP')
+    }
+
+    // The same student should not receive the same file twice
+    const key = `${row.studentAddress.toLowerCase()}:${row.fileName}`
+    if (seen.has(key)) errors.push('Duplicate of an earlier row')
+    seen.add(key)
+
+    return { ...row, errors }
+  })
+}
+
+/**
+ * BulkCredentialUpload Component
+ * Issues credentials for many students from a CSV and a ZIP of certificate files
+ */
+function BulkCredentialUpload() {
+  // Web3 context for blockchain interaction
+  const { account, contract, web3Service, isCorrectNetwork, expectedNetwork } = useWeb3()
+
+  // Input state
+  const [rows, setRows] = useState([])                  // Parsed and validated CSV rows
+  const [csvName, setCsvName] = useState('')            // Name of the loaded CSV file
+  const [zipEntries, setZipEntries] = useState({})      // Certificate files in the ZIP, by base name
+  const [zipName, setZipName] = useState('')            // Name of the loaded ZIP file
+  const [institution, setInstitution] = useState('')    // Issuing institution name
+  const [validFrom, setValidFrom] = useState('')        // Optional start of validity (YYYY-MM-DD)
+  const [validUntil, setValidUntil] = useState('')      // Optional expiry date (YYYY-MM-DD)
+  const [mode, setMode] = useState('individual')        // 'individual' records or Merkle 'cohort'
+
+  // Progress state
+  const [phase, setPhase] = useState('input')           // input | uploading | issuing | done
+  const [progress, setProgress] = useState({ completed: 0, total: 0 })
+  const [results, setResults] = useState([])            // Outcome per submitted row
+
+  const validRows = rows.filter(row => row.errors.length === 0)
+  const invalidCount = rows.length - validRows.length
+
+  /**
+   * Parses the CSV file and validates its rows
+   */
+  const handleCsvChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    try {
+      const [header, ...dataRows] = parseCSV(await file.text())
+      const columns = header.map(column => column.toLowerCase())
+      const missing = CSV_COLUMNS.filter(column => !columns.includes(column))
+      if (missing.length > 0) {
+        throw new Error(`Missing CSV columns: ${missing.join(', ')}`)
+      }
+
+      // Map fields by header name so column order does not matter
+      const field = (values, column) => values[columns.indexOf(column)] || ''
+      const parsed = dataRows.map((values, index) => ({
+        line: index + 2,
+        studentAddress: field(values, 'student_wallet'),
+        studentName: field(values, 'student_name'),
+        credentialType: field(values, 'credential_type'),
+        fileName: getBaseName(field(values, 'file'))
+      }))
+
+      setCsvName(file.name)
+      setRows(validateRows(parsed, zipEntries))
+    } catch (error) {
+      console.error('CSV parsing failed:', error)
+      toast.error(error.message || 'Failed to read CSV file')
+    }
+  }
+
+  /**
+   * Indexes the certificate files in the ZIP and revalidates rows
+   */
+  const handleZipChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    try {
+      const zip = await JSZip.loadAsync(file)
+      const entries = {}
+      zip.forEach((path, entry) => {
+        // Skip folders and macOS metadata
+        if (!entry.dir && !path.startsWith('__MACOSX/')) {
+          entries[getBaseName(path)] = entry
+        }
+      })
+
+      setZipName(file.name)
+      setZipEntries(entries)
+      setRows(prev => validateRows(prev, entries))
+    } catch (error) {
+      console.error('ZIP reading failed:', error)
+      toast.error('Failed to read ZIP file')
+    }
+  }
+
+  /**
+   * Downloads an empty CSV with the expected columns
+   */
+  const downloadCSV = (content, fileName) => {
+    const url = window.URL.createObjectURL(new Blob([content], { type: 'text/csv' }))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = fileName
+    document.body.appendChild(a)
+    a.click()
+    setTimeout(() => {
+      window.URL.revokeObjectURL(url)
+      document.body.removeChild(a)
+    }, 1000)
+  }
+
+  /**
+   * Uploads certificate files and metadata, then issues every valid row
+   */
+  const handleIssue = async () => {
+    if (!account || !contract) {
+      toast.error('Please connect your wallet first')
+      return
+    }
+    if (!isCorrectNetwork) {
+      toast.error(`Please switch your wallet to ${expectedNetwork.name} first`)
+      return
+    }
+    if (!institution.trim()) {
+      toast.error('Please enter the institution name')
+      return
+    }
+    if (validFrom && validUntil && validUntil <= validFrom) {
+      toast.error('Expiry date must be after the valid-from date')
+      return
+    }
+    if (validRows.length === 0) {
+      toast.error('No valid rows to issue')
+      return
+    }
+
+    // Above a threshold of 1 staff wallets must propose each credential, which batches and
+    // cohorts cannot do, so check before any file is pinned
+    try {
+      const institutionAddress = await web3Service.getSignatoryInstitution(account)
+      if (institutionAddress && institutionAddress.toLowerCase() !== account.toLowerCase()) {
+        const threshold = await web3Service.getApprovalThreshold(institutionAddress)
+        if (threshold > 1) {
+          toast.error(`Your institution requires ${threshold} approvals per credential. Submit them one at a time from the single-credential form, or issue this batch from the institution wallet.`)
+          return
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching approval threshold:', error)
+      toast.error('Could not check the approval policy of your institution')
+      return
+    }
+
+    const outcomes = validRows.map(row => ({ ...row, error: null }))
+    let fatalError = null
+
+    try {
+      // Upload certificate files to IPFS in parallel
+      setPhase('uploading')
+      setProgress({ completed: 0, total: outcomes.length })
+      const files = await Promise.all(outcomes.map(async (row) => {
+        const blob = await zipEntries[row.fileName].async('blob')
+        return new File([blob], row.fileName, { type: FILE_TYPES[getExtension(row.fileName)] })
+      }))
+      const uploads = await bulkIssuanceService.uploadFiles(files, (completed, total) =>
+        setProgress({ completed, total })
+      )
+
+      // Build metadata for every successfully uploaded file
+      const issueDate = new Date().toISOString()
+      const pending = []
+      uploads.forEach((upload, index) => {
+        if (upload.error) {
+          outcomes[index].error = `File upload failed: ${upload.error.message}`
+          return
+        }
+        const row = outcomes[index]
+        pending.push({
+          outcome: row,
+          metadata: {
+            studentName: row.studentName,
+            studentAddress: row.studentAddress,
+            credentialType: row.credentialType.toLowerCase(),
+            institution: institution.trim(),
+            issuerAddress: account,
+            imageHash: upload.value.hash,
+            imageUrl: upload.value.url,
+            originalFileName: upload.value.originalFileName,
+            mimeType: files[index].type,
+            issueDate,
+            validFrom: validFrom ? new Date(validFrom).toISOString() : null,
+            validUntil: validUntil ? new Date(validUntil).toISOString() : null
+          }
+        })
+      })
+
+      setPhase('issuing')
+      setProgress({ completed: 0, total: pending.length })
+
+      if (mode === 'cohort') {
+        // Anchor one Merkle root, then pin each metadata with its proof
+        const cohort = await cohortService.issueCohort({
+          credentials: pending.map(item => item.metadata),
+          validFrom: toUnixSeconds(validFrom),
+          validUntil: toUnixSeconds(validUntil),
+          onProgress: (completed, total) => setProgress({ completed, total })
+        })
+        cohort.credentials.forEach((issued, index) => {
+          Object.assign(pending[index].outcome, {
+            cid: issued.metadataCid,
+            extra: { cohortId: cohort.cohortId, chainId: web3Service.chainId, transactionHash: cohort.transactionHash }
+          })
+        })
+      } else {
+        // Pin metadata, then issue individual records in gas-sized chunks
+        const metadataUploads = await bulkIssuanceService.uploadMetadata(pending.map(item => item.metadata))
+        const requests = []
+        const requested = []
+        for (let i = 0; i < pending.length; i++) {
+          if (metadataUploads[i].error) {
+            pending[i].outcome.error = `Metadata upload failed: ${metadataUploads[i].error.message}`
+            continue
+          }
+          pending[i].outcome.cid = metadataUploads[i].value
+          requests.push({
+            student: pending[i].metadata.studentAddress,
+            certificateHash: await hashCertificateMetadata(pending[i].metadata),
+            ipfsHash: pending[i].metadata.imageHash,
+            metadata: metadataUploads[i].value,
+            validFrom: toUnixSeconds(validFrom),
+            validUntil: toUnixSeconds(validUntil)
+          })
+          requested.push(pending[i].outcome)
+        }
+
+        const issued = await bulkIssuanceService.issueInChunks(requests, ({ completed, total }) =>
+          setProgress({ completed, total })
+        )
+        issued.forEach((result, index) => {
+          if (result.error) {
+            requested[index].error = result.error
+          } else {
+            requested[index].extra = {
+              onChainId: result.credentialId,
+              chainId: web3Service.chainId,
+              transactionHash: result.transactionHash
+            }
+          }
+        })
+      }
+    } catch (error) {
+      console.error('Bulk issuance error:', error)
+      toast.error(`Failed: ${error.message}`)
+      // Rows issued before the failure keep their on-chain result and are still recorded below
+      outcomes.forEach(outcome => {
+        if (!outcome.extra && !outcome.error) outcome.error = error.message
+      })
+      fatalError = error
+    }
+
+    // Record every issued credential in Firestore and link it to the student
+    for (const outcome of outcomes) {
+      if (outcome.error || !outcome.extra) continue
+      try {
+        outcome.certificateId = await createCredentialRecord({
+          cid: outcome.cid,
+          studentAddress: outcome.studentAddress,
+          type: outcome.credentialType.toLowerCase(),
+          institution: institution.trim(),
+          extra: outcome.extra
+        })
+        await linkCredentialToStudent(outcome.studentAddress, outcome.certificateId)
+      } catch (error) {
+        outcome.error = `Issued on-chain but not recorded: ${error.message}`
+      }
+    }
+
+    if (!fatalError) {
+      const failed = outcomes.filter(outcome => outcome.error).length
+      toast.success(`Issued ${outcomes.length - failed} of ${outcomes.length} credentials`)
+    }
+    setResults(outcomes)
+    setPhase('done')
+  }
+
+  /**
+   * Clears all inputs for another batch
+   */
+  const handleReset = () => {
+    setRows([])
+    setCsvName('')
+    setZipEntries({})
+    setZipName('')
+    setResults([])
+    setProgress({ completed: 0, total: 0 })
+    setPhase('input')
+  }
+
+  const progressPercent = progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0
+
+  return (
+    <PageTransition>
+      <div className="relative min-h-screen p-6">
+        <motion.div
+          className="max-w-6xl mx-auto bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">Bulk Credential Issuance</h1>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            Upload a CSV with columns <code>{CSV_COLUMNS.join(', ')}</code> and a ZIP containing the certificate files it references.
+          </p>
+
+          {phase === 'input' && (
+            <div className="space-y-6">
+              {/* Batch settings */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Institution Name
+                  </label>
+                  <input
+                    type="text"
+                    value={institution}
+                    onChange={(e) => setInstitution(e.target.value)}
+                    className={inputClassName}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Issuance Mode
+                  </label>
+                  <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClassName}>
+                    <option value="individual">Individual on-chain records</option>
+                    <option value="cohort">Merkle cohort (single on-chain root)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Valid From (optional)
+                  </label>
+                  <input type="date" value={validFrom} onChange={(e) => setValidFrom(e.target.value)} className={inputClassName} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Valid Until (optional)
+                  </label>
+                  <input type="date" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} className={inputClassName} />
+                </div>
+              </div>
+
+              {/* File inputs */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <label className="flex flex-col items-center justify-center px-6 py-8 border-2 border-gray-300 dark:border-gray-600 border-dashed rounded-md cursor-pointer">
+                  <span className="text-primary-600 dark:text-primary-400 font-medium">
+                    {csvName || 'Choose CSV file'}
+                  </span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {rows.length > 0 ? `${rows.length} rows` : 'One row per credential'}
+                  </span>
+                  <input type="file" accept=".csv,text/csv" className="sr-only" onChange={handleCsvChange} />
+                </label>
+                <label className="flex flex-col items-center justify-center px-6 py-8 border-2 border-gray-300 dark:border-gray-600 border-dashed rounded-md cursor-pointer">
+                  <span className="text-primary-600 dark:text-primary-400 font-medium">
+                    {zipName || 'Choose ZIP of certificates'}
+                  </span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {zipName ? `${Object.keys(zipEntries).length} files` : 'JPG, JPEG, PNG or PDF files'}
+                  </span>
+                  <input type="file" accept=".zip,application/zip" className="sr-only" onChange={handleZipChange} />
+                </label>
+              </div>
+
+              <button
+                type="button"
+                onClick={() => downloadCSV(toCSV([CSV_COLUMNS]), 'credentials_template.csv')}
+                className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                Download CSV template
+              </button>
+
+              {/* Row preview */}
+              {rows.length > 0 && (
+                <div>
+                  <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
+                    {validRows.length} valid, {invalidCount} with errors
+                    {invalidCount > 0 && ' — rows with errors will not be issued'}
+                  </p>
+                  <div className="overflow-x-auto max-h-96 border border-gray-200 dark:border-gray-700 rounded-lg">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50 dark:bg-gray-700 text-left text-gray-600 dark:text-gray-300">
+                        <tr>
+                          <th className="px-3 py-2">Line</th>
+                          <th className="px-3 py-2">Wallet</th>
+                          <th className="px-3 py-2">Name</th>
+                          <th className="px-3 py-2">Type</th>
+                          <th className="px-3 py-2">File</th>
+                          <th className="px-3 py-2">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-white">
+                        {rows.map(row => (
+                          <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50 dark:bg-red-900/20' : ''}>
+                            <td className="px-3 py-2">{row.line}</td>
+                            <td className="px-3 py-2 font-mono text-xs break-all">{row.studentAddress}</td>
+                            <td className="px-3 py-2">{row.studentName}</td>
+                            <td className="px-3 py-2">{row.credentialType}</td>
+                            <td className="px-3 py-2">{row.fileName}</td>
+                            <td className="px-3 py-2">
+                              {row.errors.length > 0 ? (
+                                <span className="text-red-600 dark:text-red-400">{row.errors.join('; ')}</span>
+                              ) : (
+                                <span className="text-green-600 dark:text-green-400">Ready</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={handleIssue}
+                  disabled={validRows.length === 0 || !isCorrectNetwork}
+                  className="px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-md
+                           hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors
+                           disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Issue {validRows.length} Credential{validRows.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {(phase === 'uploading' || phase === 'issuing') && (
+            <div className="py-12 text-center">
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">
+                {phase === 'uploading' ? 'Uploading certificates to IPFS' : 'Issuing credentials on the blockchain'}
+              </h2>
+              <p className="text-gray-600 dark:text-gray-400 mb-4">
+                {progress.completed} of {progress.total} — please keep this page open and confirm each transaction in your wallet
+              </p>
+              <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+                <div
+                  className="bg-primary-600 h-3 rounded-full transition-all"
+                  style={{ width: `${progressPercent}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {phase === 'done' && (
+            <div className="space-y-4">
+              <p className="text-gray-700 dark:text-gray-300">
+                {results.filter(result => result.certificateId).length} of {results.length} credentials issued.
+              </p>
+              <div className="overflow-x-auto max-h-96 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50 dark:bg-gray-700 text-left text-gray-600 dark:text-gray-300">
+                    <tr>
+                      <th className="px-3 py-2">Line</th>
+                      <th className="px-3 py-2">Name</th>
+                      <th className="px-3 py-2">Certificate ID</th>
+                      <th className="px-3 py-2">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-white">
+                    {results.map(result => (
+                      <tr key={result.line}>
+                        <td className="px-3 py-2">{result.line}</td>
+                        <td className="px-3 py-2">{result.studentName}</td>
+                        <td className="px-3 py-2 font-medium">{result.certificateId || '—'}</td>
+                        <td className="px-3 py-2">
+                          {result.error ? (
+                            <span className="text-red-600 dark:text-red-400">{result.error}</span>
+                          ) : (
+                            <span className="text-green-600 dark:text-green-400">Issued</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex justify-end gap-3">
+                <button
+                  type="button"
+                  onClick={() => downloadCSV(toCSV([
+                    ['line', 'student_wallet', 'student_name', 'certificate_id', 'error'],
+                    ...results.map(result => [result.line, result.studentAddress, result.studentName, result.certificateId, result.error])
+                  ]), 'issuance_results.csv')}
+                  className="px-4 py-2 border border-primary-600 text-primary-600 dark:text-primary-400 rounded-md hover:bg-primary-50 dark:hover:bg-gray-700"
+                >
+                  Download Results
+                </button>
+                <button
+                  type="button"
+                  onClick={handleReset}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+                >
+                  Issue Another Batch
+                </button>
+              </div>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </PageTransition>
+  )
+}
+
+export default BulkCredentialUpload
@@ -7,19 +7,22 @@ import { ipfsService } from '../services/ipfsService'
 import BlockchainVideo from '../components/BlockchainVideo'
 import Navbar from '../components/Navbar'
 import Footer from '../components/Footer'
-import { doc, setDoc, query, where, getDocs, collection, arrayUnion, updateDoc } from "firebase/firestore"; 
-import {db} from '../config/firebase';
+import {
+  createCredentialRecord,
+  createDisclosureRecord,
+  getStudentEncryptionKey,
+  linkCredentialToStudent
+} from '../services/credentialService';
+import { encryptFile, hashCertificateMetadata } from '../utils/crypto';
+import { DISCLOSABLE_FIELDS, createCommitments } from '../utils/disclosure';
+import { CERTIFICATE_FILE_TYPES, createFilePreview } from '../utils/certificateFile';
 /**
  * CredentialUpload Component
  * Handles the upload and issuance of academic credentials to the blockchain
  */
 
-function generateShortFriendlyId(prefix = "user") {
-  const words = ["brave", "bright", "calm", "clever", "kind", "swift", "lion", "fox", "hawk", "owl"];
-  const randomWord = words[Math.floor(Math.random() * words.length)];
-  const uniquePart = Math.random().toString(36).substring(2, 5); // 3-char random alphanumeric
-  return `${prefix}-${randomWord}-${uniquePart}`;
-}
+// Converts a YYYY-MM-DD date input to unix seconds, 0 meaning "no bound"
+const toUnixSeconds = (date) => date ? Math.floor(new Date(date).getTime() / 1000) : 0;
 
 const copyToClipboard = async (text) => {
   try {
@@ -33,7 +36,7 @@ const copyToClipboard = async (text) => {
 
 function CredentialUpload() {
   // Web3 context for blockchain interaction
-  const { account, contract } = useWeb3();
+  const { account, contract, web3Service, isCorrectNetwork, expectedNetwork, isInstitution } = useWeb3();
   
   // Component state management
   const [step, setStep] = useState(1)                  // Current step in upload process
@@ -44,11 +47,38 @@ function CredentialUpload() {
     studentName: '',       // Student's name
     credentialType: '',    // Type of credential
     institution: '',       // Issuing institution
+    validFrom: '',         // Optional start of validity (YYYY-MM-DD)
+    validUntil: '',        // Optional expiry date (YYYY-MM-DD)
+    requireApproval: false, // Propose for approval instead of issuing directly
+    amends: '',            // Optional on-chain ID of a credential this one corrects
+    selectiveDisclosure: false, // Pin salted commitments instead of plaintext personal fields
+    encryptCertificate: false, // Encrypt the file for the student before pinning it
     file: null            // Credential file
   })
   const [isBlockchainUploading, setIsBlockchainUploading] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [certificateId, setCertificateId] = useState(null)
+  const [approvalThreshold, setApprovalThreshold] = useState(1) // Approvals required by the institution
+  const [pendingProposal, setPendingProposal] = useState(null)  // Proposal awaiting approval, if any
+
+  // Above a threshold of 1 only the institution's own wallet may issue without a proposal
+  const mustPropose = approvalThreshold > 1 && !isInstitution
+
+  // Load the approval threshold of the institution the connected wallet signs for
+  useEffect(() => {
+    if (!contract || !account) return;
+    const fetchThreshold = async () => {
+      try {
+        const institutionAddress = await web3Service.getSignatoryInstitution(account);
+        if (institutionAddress) {
+          setApprovalThreshold(await web3Service.getApprovalThreshold(institutionAddress));
+        }
+      } catch (error) {
+        console.error('Error fetching approval threshold:', error);
+      }
+    };
+    fetchThreshold();
+  }, [contract, account, web3Service]);
 
   // Animation configuration
   const fadeIn = {
@@ -71,14 +101,7 @@ function CredentialUpload() {
     if (!file) return;
 
     // File type validation
-    const validTypes = [
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'application/pdf'
-    ];
-    
-    if (!validTypes.includes(file.type)) {
+    if (!CERTIFICATE_FILE_TYPES[file.type]) {
       toast.error('Please upload a valid file (JPG, JPEG, PNG, or PDF)');
       return;
     }
@@ -90,13 +113,9 @@ function CredentialUpload() {
       return;
     }
 
-    // Create file preview
+    // Create file preview, the first page for PDFs
     try {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setImagePreview(reader.result);
-      };
-      reader.readAsDataURL(file);
+      setImagePreview(await createFilePreview(file));
 
       setFormData(prev => ({
         ...prev,
@@ -126,10 +145,26 @@ function CredentialUpload() {
       toast.error('Please connect your wallet first');
       return;
     }
+    if (!isCorrectNetwork) {
+      toast.error(`Please switch your wallet to ${expectedNetwork.name} first`);
+      return;
+    }
     if (!contract) {
       toast.error('Smart contract not initialized');
       return;
     }
+    if (formData.validFrom && formData.validUntil && formData.validUntil <= formData.validFrom) {
+      toast.error('Expiry date must be after the valid-from date');
+      return;
+    }
+    if (formData.amends && !/^[1-9]\d*$/.test(formData.amends)) {
+      toast.error('Please enter the on-chain ID of the credential to amend');
+      return;
+    }
+    if (formData.amends && mustPropose) {
+      toast.error('Amendments must be made from the institution wallet while approvals are required');
+      return;
+    }
 
     try {
       setIsSubmitting(true);
@@ -145,11 +180,23 @@ function CredentialUpload() {
         throw new Error('No authorized account found');
       }
 
-      // IPFS upload process
-      const { hash, url } = await ipfsService.uploadImage(formData.file);
+      // IPFS upload process, encrypting the file for the student when requested. Selective
+      // disclosure always encrypts, a public file would show the fields it keeps private
+      let hash, url, encryption = null;
+      if (formData.encryptCertificate || formData.selectiveDisclosure) {
+        const publicKey = await getStudentEncryptionKey(formData.studentAddress);
+        if (!publicKey) {
+          throw new Error('The student has not enabled encrypted certificates from their wallet yet');
+        }
+        const { blob, envelope } = await encryptFile(formData.file, publicKey);
+        ({ hash, url } = await ipfsService.uploadEncryptedFile(blob));
+        encryption = envelope;
+      } else {
+        ({ hash, url } = await ipfsService.uploadCertificateFile(formData.file));
+      }
 
       // Create and upload metadata
-      const metadata = {
+      let metadata = {
         studentName: formData.studentName,
         studentAddress: formData.studentAddress,
         credentialType: formData.credentialType,
@@ -157,94 +204,110 @@ function CredentialUpload() {
         issuerAddress: account,
         imageHash: hash,
         imageUrl: url,
-        issueDate: new Date().toISOString()
+        // An encrypted file's name is not pinned, it could identify the student
+        ...(!encryption && { originalFileName: formData.file.name }),
+        mimeType: formData.file.type,
+        issueDate: new Date().toISOString(),
+        validFrom: formData.validFrom ? new Date(formData.validFrom).toISOString() : null,
+        validUntil: formData.validUntil ? new Date(formData.validUntil).toISOString() : null,
+        ...(encryption && { encryption })
       };
 
+      // With selective disclosure only commitments are pinned; the values and salts go to the student
+      let disclosureSecrets = null;
+      if (formData.selectiveDisclosure) {
+        const { disclosure, values, salts } = await createCommitments(metadata);
+        disclosureSecrets = { values, salts };
+        metadata = Object.fromEntries(
+          Object.entries(metadata).filter(([field]) => !DISCLOSABLE_FIELDS.includes(field))
+        );
+        metadata.disclosure = disclosure;
+      }
+
       // Upload metadata to IPFS
       const metadataHash = await ipfsService.uploadJSON(metadata);
 
+      // Generate certificate hash
+      const hashHex = await hashCertificateMetadata(metadata);
+
+      // Record on blockchain: as an amendment, as a proposal for other signatories to approve, or directly
+      const request = {
+        student: formData.studentAddress,
+        certificateHash: hashHex,
+        ipfsHash: hash,
+        metadata: metadataHash,
+        validFrom: toUnixSeconds(formData.validFrom),
+        validUntil: toUnixSeconds(formData.validUntil)
+      };
+      const tx = formData.amends
+        ? await contract.amendCredential(formData.amends, request, '')
+        : formData.requireApproval || mustPropose
+        ? await contract.proposeCredential(request)
+        : await contract.issueCredential(
+            formData.studentAddress,
+            hashHex,
+            hash,
+            metadataHash,
+            toUnixSeconds(formData.validFrom),
+            toUnixSeconds(formData.validUntil)
+          );
+
+      const receipt = await tx.wait();
+      const proposedEvent = web3Service.findEvent(receipt, 'CredentialProposed');
+      const issuedEvent = web3Service.findEvent(receipt, 'CredentialIssued');
+
+      // Firestore records are only written once the transaction is mined, so a rejected or
+      // reverted transaction leaves no record behind
       if (metadataHash) {
         try {
-          // Generate a unique short ID
-          const short_id = generateShortFriendlyId("cred");
-          
-          // First, create the credential document
-          await setDoc(doc(db, "credentials", short_id), {
+          const short_id = await createCredentialRecord({
             cid: metadataHash,
-            id: short_id,
             studentAddress: formData.studentAddress,
-            createdAt: new Date().toISOString(),
-            type: formData.credentialType,
-            institution: formData.institution
+            // The public record must not reveal committed fields either
+            type: disclosureSecrets ? null : formData.credentialType,
+            institution: disclosureSecrets ? null : formData.institution,
+            extra: {
+              ...(disclosureSecrets && { selectiveDisclosure: true }),
+              ...(encryption && { encrypted: true }),
+              // Lets approvers link the record once the proposal is executed
+              ...(proposedEvent && { proposalId: proposedEvent.args.proposalId.toString() }),
+              // Links the record to the on-chain credential for verification
+              ...(issuedEvent && {
+                onChainId: issuedEvent.args.credentialId.toString(),
+                chainId: web3Service.chainId,
+                transactionHash: receipt.hash,
+                ...(formData.amends && { supersedes: formData.amends })
+              })
+            }
           });
-          
-          // Set the certificate ID in state
-          setCertificateId(short_id);
-          
-          // Query for the student document
-          const studentsRef = collection(db, "students");
-          const q = query(studentsRef, where("walletAddress", "==", formData.studentAddress));
-          const querySnapshot = await getDocs(q);
-          
-          if (querySnapshot.empty) {
-            // Create a new student document if none exists
-            const newStudentRef = doc(db, "students", generateShortFriendlyId("stud"));
-            await setDoc(newStudentRef, {
-              walletAddress: formData.studentAddress,
-              credentials: [short_id],
-              createdAt: new Date().toISOString(),
-              updatedAt: new Date().toISOString()
+          if (disclosureSecrets) {
+            await createDisclosureRecord(short_id, {
+              studentAddress: formData.studentAddress,
+              ...disclosureSecrets
             });
-            toast.success("New student record created and credential linked");
-            return;
           }
           
-          // Update existing student documents
-          const updatePromises = querySnapshot.docs.map(async (docSnapshot) => {
-            const studentRef = doc(db, "students", docSnapshot.id);
-            const studentData = docSnapshot.data();
-            const currentCredentials = studentData.credentials || [];
-            
-            if (!currentCredentials.includes(short_id)) {
-              return updateDoc(studentRef, {
-                credentials: arrayUnion(short_id),
-                lastUpdated: new Date().toISOString()
-              });
-            }
-          });
+          // Set the certificate ID in state
+          setCertificateId(short_id);
           
-          await Promise.all(updatePromises);
-          toast.success("Credential linked to student successfully");
+          // Link the credential to the student's record
+          const createdStudent = await linkCredentialToStudent(formData.studentAddress, short_id);
+          toast.success(createdStudent
+            ? "New student record created and credential linked"
+            : "Credential linked to student successfully");
           
         } catch (error) {
           console.error("Error updating credentials:", error);
-          toast.error(`Failed to link credential: ${error.message}`);
-          throw error;
+          // The transaction is already mined, going back to the form would invite a duplicate issuance
+          toast.error(`Recorded on-chain in ${receipt.hash}, but saving the credential record failed: ${error.message}`);
         }
       }
-      
 
-      // Generate certificate hash
-      const certificateString = JSON.stringify(metadata);
-      const encoder = new TextEncoder();
-      const data = encoder.encode(certificateString);
-      const certificateHash = await window.crypto.subtle.digest('SHA-256', data);
-      const hashArray = Array.from(new Uint8Array(certificateHash));
-      const hashHex = '0x' + hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-      // Record on blockchain
-      const tx = await contract.issueCredential(
-        formData.studentAddress,
-        hashHex,
-        hash,
-        metadataHash
-      );
-
-      await tx.wait();
+      setPendingProposal(proposedEvent && !issuedEvent ? proposedEvent.args.proposalId.toString() : null);
       console.log('Transaction completed, updating step...');
       setStep(2);
       console.log('Step updated to:', 2);
-      toast.success('Certificate issued successfully!');
+      toast.success(issuedEvent ? 'Certificate issued successfully!' : 'Certificate submitted for approval!');
 
     } catch (error) {
       console.error('Upload error:', error);
@@ -292,7 +355,9 @@ function CredentialUpload() {
                       value={formData.credentialType}
                       onChange={(e) => setFormData(prev => ({
                         ...prev,
-                        credentialType: e.target.value
+                        credentialType: e.target.value,
+                        // Degrees go through the approval workflow by default
+                        requireApproval: approvalThreshold > 1 && e.target.value === 'degree'
                       }))}
                       className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md 
                                bg-white dark:bg-gray-700 text-gray-900 dark:text-white
@@ -363,6 +428,114 @@ function CredentialUpload() {
                     />
                   </div>
 
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Valid From (optional)
+                      </label>
+                      <input 
+                        type="date"
+                        name="validFrom"
+                        value={formData.validFrom}
+                        onChange={(e) => setFormData(prev => ({
+                          ...prev,
+                          validFrom: e.target.value
+                        }))}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md 
+                                 bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                                 focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Valid Until (optional)
+                      </label>
+                      <input 
+                        type="date"
+                        name="validUntil"
+                        value={formData.validUntil}
+                        onChange={(e) => setFormData(prev => ({
+                          ...prev,
+                          validUntil: e.target.value
+                        }))}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md 
+                                 bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                                 focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-transparent"
+                      />
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        Leave empty for credentials that never expire
+                      </p>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Amends Credential (optional)
+                    </label>
+                    <input 
+                      type="text"
+                      name="amends"
+                      value={formData.amends}
+                      onChange={(e) => setFormData(prev => ({
+                        ...prev,
+                        amends: e.target.value.trim()
+                      }))}
+                      placeholder="On-chain ID of the credential being corrected"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md 
+                               bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                               focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-transparent"
+                    />
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      The original credential is marked as superseded and verifiers are redirected to this one
+                    </p>
+                  </div>
+
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.selectiveDisclosure}
+                      onChange={(e) => setFormData(prev => ({
+                        ...prev,
+                        selectiveDisclosure: e.target.checked,
+                        // A plain file and its name would reveal what the commitments hide
+                        encryptCertificate: e.target.checked || prev.encryptCertificate
+                      }))}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    Selective disclosure (publish salted commitments; the student chooses which fields to reveal)
+                  </label>
+
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.encryptCertificate}
+                      disabled={formData.selectiveDisclosure}
+                      onChange={(e) => setFormData(prev => ({
+                        ...prev,
+                        encryptCertificate: e.target.checked
+                      }))}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    Encrypt the certificate file so only the student (and whoever they share a link with) can open it
+                    {formData.selectiveDisclosure && ' (required for selective disclosure)'}
+                  </label>
+
+                  {approvalThreshold > 1 && !formData.amends && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={formData.requireApproval || mustPropose}
+                        disabled={mustPropose}
+                        onChange={(e) => setFormData(prev => ({
+                          ...prev,
+                          requireApproval: e.target.checked
+                        }))}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      Submit for approval ({approvalThreshold} signatories must approve before it is issued)
+                    </label>
+                  )}
+
                   <div className="mb-4">
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Upload Certificate
@@ -449,8 +622,8 @@ function CredentialUpload() {
                         type="submit"
                         className={`px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-md
                                  hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors
-                                 ${isSubmitting ? 'opacity-50 cursor-not-allowed' : ''}`}
-                        disabled={isSubmitting || uploading}
+                                 ${isSubmitting || !isCorrectNetwork ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        disabled={isSubmitting || uploading || !isCorrectNetwork}
                       >
                         {isSubmitting ? (
                           <div className="flex items-center space-x-2">
@@ -483,9 +656,13 @@ function CredentialUpload() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                 </svg>
               </div>
-              <h3 className="text-xl font-bold mb-2">Certificate Issued Successfully!</h3>
+              <h3 className="text-xl font-bold mb-2">
+                {pendingProposal ? 'Certificate Submitted for Approval' : 'Certificate Issued Successfully!'}
+              </h3>
               <p className="text-gray-600 mb-4">
-                The certificate has been uploaded to IPFS and recorded on the blockchain.
+                {pendingProposal
+                  ? `Proposal #${pendingProposal} is waiting for ${approvalThreshold - 1} more signatory approval(s) before it is recorded on the blockchain.`
+                  : 'The certificate has been uploaded to IPFS and recorded on the blockchain.'}
               </p>
               {certificateId && (
                 <div className="text-gray-800 mb-4 font-medium flex items-center justify-center gap-2">
@@ -520,10 +697,17 @@ function CredentialUpload() {
                     studentName: '',
                     credentialType: '',
                     institution: '',
+                    validFrom: '',
+                    validUntil: '',
+                    requireApproval: false,
+                    amends: '',
+                    selectiveDisclosure: false,
+                    encryptCertificate: false,
                     file: null
                   });
                   setImagePreview(null);
                   setCertificateId(null);
+                  setPendingProposal(null);
                 }}
                 className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
               >
@@ -1,17 +1,24 @@
 import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useLocation, useSearchParams } from 'react-router-dom'
 import { useWeb3 } from '../contexts/Web3Context'
+import { getDeployedChainIds } from '../config/networks'
 import { pinataService } from '../services/pinataService'
+import { ipfsService } from '../services/ipfsService'
+import { verificationService } from '../services/verificationService'
+import { decodePresentation } from '../utils/disclosure'
+import { decryptFile } from '../utils/crypto'
+import { createFilePreview, fileExtension } from '../utils/certificateFile'
+import CredentialStatusBadge from '../components/CredentialStatusBadge'
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../config/firebase';
 
-// Configuration constants for IPFS gateways and CORS proxies
-const GATEWAY_URL = 'rose-hollow-mollusk-554.mypinata.cloud';
-const CORS_PROXIES = [
-  'https://api.allorigins.win/raw?url=',
-  'https://corsproxy.io/?',
-  'https://cors.eu.org/'
-];
+// Formats one link of an institution's accreditation chain
+const formatChainLink = ({ address, role, jurisdiction, active }) => {
+  if (role === 'owner') return `Registry owner ${address}`;
+  if (role === 'institution') return `Institution ${address}`;
+  return active ? `Accreditor (${jurisdiction}) ${address}` : `Former accreditor ${address} (revoked)`;
+};
 
 /**
  * CredentialVerification Component
@@ -24,15 +31,24 @@ const CORS_PROXIES = [
  */
 
 function CredentialVerification() {
-  const { web3Service } = useWeb3();
+  const { readOnly } = useWeb3();
+  const [searchParams] = useSearchParams();
+  const { hash } = useLocation();
   
   // State management
   const [verificationStatus, setVerificationStatus] = useState(null)  // Status of verification process
   const [isVerifying, setIsVerifying] = useState(false)              // Verification in progress
   const [isDownloading, setIsDownloading] = useState(false)          // Download in progress
   const [credentialId, setCredentialId] = useState('')  
-  const [shortId , setShortId] = useState('')            // IPFS CID input
+  const [shortId , setShortId] = useState(searchParams.get('id') || '') // IPFS CID input, prefilled from share links
+  // Content key of an encrypted certificate, only ever carried in the share link's fragment
+  const contentKey = new URLSearchParams(hash.slice(1)).get('key')
+  const [presentationCode, setPresentationCode] = useState('') // Optional selective-disclosure presentation
   const [credentialDetails, setCredentialDetails] = useState(null)   // Verified credential data
+  const [verificationChecks, setVerificationChecks] = useState([])   // Per-check verification results
+  const [statusHistory, setStatusHistory] = useState([])             // Issuance and status changes, oldest first
+  const [amendment, setAmendment] = useState(null)                   // Amendment trail when the credential was amended
+  const [certificatePreview, setCertificatePreview] = useState(null) // Preview image of the certificate file
   const [error, setError] = useState(null)                           // Error state
 
   /**
@@ -49,6 +65,7 @@ function CredentialVerification() {
       if (docSnap.exists()) {
         // If document exists, update the credentialId state
         setCredentialId(docSnap.data().cid);
+        return docSnap.data();
       } else {
         // If document does not exist, log an error and notify the user
         setError("Credential not found in Firestore.");
@@ -62,10 +79,33 @@ function CredentialVerification() {
   }
 
 
+  /**
+   * Fetches credential metadata from IPFS
+   * @param {string} cid - IPFS CID of the metadata
+   * @returns {Promise<Object>} Metadata as returned by pinataService.main
+   */
+  const fetchMetadata = async (cid) => {
+    console.log('Fetching metadata from IPFS:', cid)
+    try {
+      const metadata = await pinataService.main(cid)
+      if (!metadata) {
+        throw new Error('No metadata found')
+      }
+      return metadata
+    } catch (pinataError) {
+      console.error('IPFS Error:', pinataError)
+      throw new Error(`IPFS Error: ${pinataError.message || 'Content not found or invalid'}`)
+    }
+  }
+
   const handleVerification = async (e) => {
     e.preventDefault()
     setIsVerifying(true)
     setError(null)
+    setCertificatePreview(null)
+    setVerificationChecks([])
+    setStatusHistory([])
+    setAmendment(null)
 
     try {
       // First validate if shortId is provided
@@ -73,45 +113,97 @@ function CredentialVerification() {
         throw new Error('Please enter a valid Certificate ID')
       }
 
+      // On-chain checks need the contract on at least one chain, reached through the wallet or read-only RPC
+      if (getDeployedChainIds().length === 0) {
+        throw new Error('No deployment of the credentials contract is configured. Please contact the site administrator.')
+      }
+
+      // A presentation reveals chosen fields of a credential issued with selective disclosure
+      const presentation = presentationCode.trim() ? decodePresentation(presentationCode) : null
+      if (presentation && presentation.credentialId !== shortId.trim()) {
+        throw new Error('This presentation was created for a different Credential ID')
+      }
+
+      let credentialDoc;
       try {
-        await fetching(shortId);
+        credentialDoc = await fetching(shortId);
       } catch (firestoreError) {
         // Handle Firestore-specific errors
         throw new Error('Invalid Certificate ID. Please check and try again.')
       }
       
       // Now validate the CID we got from Firestore
-      if (!credentialId) {
+      const metadataCid = credentialDoc?.cid;
+      if (!metadataCid) {
         throw new Error('No valid credential found for this Certificate ID')
       }
 
-      console.log('Fetching metadata from Pinata:', credentialId)
-      
-      try {
-        // Fetch and validate metadata
-        const metadata = await pinataService.main(credentialId)
-        
-        if (!metadata) {
-          throw new Error('No metadata found')
-        }
-
-        // Validate image hash format
-        if (!metadata.imageHash?.startsWith('baf')) {
-          console.warn('Image hash format unexpected:', metadata.imageHash)
-        }
-
-        // Set verification details
-        setCredentialDetails({
-          ...metadata,
-          blockchainHash: 'Verified from IPFS',
-          verificationTime: new Date().toLocaleString()
+      let metadata = await fetchMetadata(metadataCid)
+
+      // Check the metadata against the credential recorded on-chain
+      let result = await verificationService.verify({
+        onChainId: credentialDoc.onChainId,
+        chainId: credentialDoc.chainId,
+        metadataCid,
+        metadata,
+        presentation
+      })
+
+      // An amended credential redirects to its current version
+      if (result.currentVersionId && result.currentVersionId !== result.credential.id.toString()) {
+        const requestedId = result.credential.id.toString()
+        const current = result.amendments[result.amendments.length - 1]
+        setCredentialId(current.metadata)
+        metadata = await fetchMetadata(current.metadata)
+        result = await verificationService.verify({
+          onChainId: result.currentVersionId,
+          chainId: result.network?.chainId,
+          metadataCid: current.metadata,
+          metadata
         })
-        
-        setVerificationStatus('success')
-      } catch (pinataError) {
-        console.error('Pinata Error:', pinataError)
-        throw new Error(`Pinata Error: ${pinataError.message || 'Content not found or invalid'}`)
+        setAmendment({ requestedId, trail: result.amendments })
+      } else if (result.amendments.length > 1) {
+        setAmendment({ requestedId: result.credential.id.toString(), trail: result.amendments })
       }
+
+      const { verified, credential, network, issuer, accreditationChain, status, history, approvers, disclosed, checks } = result
+
+      // Committed fields are only shown once the presentation proves them
+      const commitments = metadata.rawMetadata?.disclosure?.commitments || {}
+      const revealed = Object.fromEntries(
+        disclosed.filter(field => field.valid).map(field => [field.field, field.value])
+      )
+      const hiddenFields = Object.keys(commitments).filter(field => !(field in revealed))
+
+      setVerificationChecks(checks)
+      if (credential) {
+        // Issuance is the first entry of the timeline
+        setStatusHistory([
+          { action: 'issued', actor: credential.issuedBy, timestamp: Number(credential.timestamp) },
+          ...history
+        ])
+      }
+      setCredentialDetails({
+        ...metadata,
+        ...revealed,
+        hiddenFields,
+        // The registry name replaces the institution name typed by the issuer
+        institution: issuer ? issuer.name
+          : hiddenFields.includes('institution') ? 'Not disclosed'
+          : `${revealed.institution || metadata.institution} (not in registry)`,
+        issuerProfile: issuer,
+        accreditationChain,
+        onChainId: !credential ? 'Not found'
+          : credential.cohortId ? `Cohort #${credential.cohortId}` : credential.id.toString(),
+        network: network ? network.name : 'Not found',
+        blockchainHash: credential ? credential.certificateHash : 'Not found',
+        signatory: credential ? credential.issuedBy : 'Not found',
+        approvers,
+        status,
+        verificationTime: new Date().toLocaleString()
+      })
+      setVerificationStatus(verified ? 'success' : 'failed')
+      loadPreview(metadata)
     } catch (error) {
       console.error('Error verifying credential:', error)
       setError(error.message || 'Failed to verify credential')
@@ -121,9 +213,39 @@ function CredentialVerification() {
     }
   }
 
+  /**
+   * Fetches the certificate file of a credential, decrypting it with the share-link key when encrypted
+   * @param {Object} metadata - Credential metadata from pinataService
+   * @returns {Promise<Blob>} Certificate file with its original MIME type
+   */
+  const fetchCertificateFile = async (metadata) => {
+    const envelope = metadata.rawMetadata.encryption;
+    const response = await ipfsService.retrieveFile(metadata.imageHash);
+
+    if (envelope) {
+      return decryptFile(await response.arrayBuffer(), envelope, contentKey);
+    }
+    // Gateways and proxies do not always keep the content type, prefer the one recorded at upload
+    const blob = await response.blob();
+    return metadata.mimeType ? new Blob([blob], { type: metadata.mimeType }) : blob;
+  }
+
+  /**
+   * Loads a preview of the verified certificate file, the first page for PDFs
+   * @param {Object} metadata - Credential metadata from pinataService
+   */
+  const loadPreview = async (metadata) => {
+    if (!metadata.imageHash || (metadata.rawMetadata.encryption && !contentKey)) return;
+    try {
+      setCertificatePreview(await createFilePreview(await fetchCertificateFile(metadata)));
+    } catch (error) {
+      console.warn('Certificate preview failed:', error);
+    }
+  }
+
   /**
    * Handles certificate download
-   * Attempts download through multiple CORS proxies
+   * Downloads under the original filename, or a descriptive name with the file type's extension
    */
   const handleDownload = async () => {
     if (!credentialId || isDownloading) return;
@@ -137,80 +259,29 @@ function CredentialVerification() {
         throw new Error('No valid image hash found in metadata');
       }
 
-      const downloadUrl = `https://${GATEWAY_URL}/ipfs/${metadata.imageHash}?pinataGatewayToken=${import.meta.env.VITE_GATEWAY_KEY}`;
-      
-      try {
-        const response = await fetch(downloadUrl, {
-          headers: {
-            'Accept': '*/*'
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`Direct download failed: ${response.status}`);
-        }
-
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        
-        let fileName;
-        if (metadata.originalFileName) {
-          fileName = metadata.originalFileName;
-        } else {
-          const contentType = response.headers.get('content-type');
-          const extension = contentType ? contentType.split('/').pop() : 'file';
-          fileName = `${metadata.institution}_${metadata.credentialType}_${metadata.studentName}`
-            .replace(/[^a-zA-Z0-9]/g, '_')
-            .toLowerCase() + '.' + extension;
-        }
-        
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        
-        setTimeout(() => {
-          window.URL.revokeObjectURL(url);
-          document.body.removeChild(a);
-        }, 1000);
-
-      } catch (directError) {
-        console.warn('Direct download failed, trying CORS proxies:', directError);
-        
-        let downloaded = false;
-        for (const proxy of CORS_PROXIES) {
-          try {
-            const proxyUrl = `${proxy}${encodeURIComponent(downloadUrl)}`;
-            const response = await fetch(proxyUrl);
-            
-            if (!response.ok) continue;
-
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = fileName;
-            document.body.appendChild(a);
-            a.click();
-            
-            setTimeout(() => {
-              window.URL.revokeObjectURL(url);
-              document.body.removeChild(a);
-            }, 1000);
-
-            downloaded = true;
-            break;
-          } catch (proxyError) {
-            console.warn(`Download failed with proxy ${proxy}:`, proxyError);
-            continue;
-          }
-        }
-
-        if (!downloaded) {
-          throw new Error('All download attempts failed');
-        }
+      // Encrypted certificates can only be opened with the key from the student's share link
+      if (metadata.rawMetadata.encryption && !contentKey) {
+        setError('This certificate file is encrypted. Ask the student for their share link to download it.');
+        return;
       }
+
+      const blob = await fetchCertificateFile(metadata);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = metadata.originalFileName ||
+        [metadata.institution, metadata.credentialType, metadata.studentName]
+          .filter(Boolean)
+          .join('_')
+          .replace(/[^a-zA-Z0-9]/g, '_')
+          .toLowerCase() + '.' + fileExtension(blob.type);
+      document.body.appendChild(a);
+      a.click();
+      
+      setTimeout(() => {
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+      }, 1000);
     } catch (error) {
       console.error('Download error:', error);
       setError('Failed to download certificate. Please try again.');
@@ -219,6 +290,16 @@ function CredentialVerification() {
     }
   };
 
+  /**
+   * Formats a detail value, hiding fields that are committed to but not disclosed
+   * @param {string} field - Metadata field name
+   * @param {*|Function} value - Value to show, or a function formatting it
+   */
+  const showField = (field, value) => {
+    if (credentialDetails?.hiddenFields.includes(field)) return 'Not disclosed'
+    return typeof value === 'function' ? value() : value
+  }
+
   // Component render with sections for:
   // - Header
   // - Verification form
@@ -266,6 +347,21 @@ function CredentialVerification() {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Presentation (optional)
+              </label>
+              <textarea
+                value={presentationCode}
+                onChange={(e) => setPresentationCode(e.target.value)}
+                rows={3}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md font-mono text-xs
+                         bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                         focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 focus:border-transparent"
+                placeholder="Paste the presentation shared by the student to check the fields it reveals"
+              />
+            </div>
+
             {error && (
               <div className="text-red-500 text-sm">
                 {error}
@@ -295,11 +391,16 @@ function CredentialVerification() {
                 )}
               </motion.button>
             </div>
+            {readOnly && (
+              <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+                No wallet connected. Checks run against the blockchain through a read-only connection.
+              </p>
+            )}
           </form>
 
           {/* Verification Result */}
           <AnimatePresence mode="wait">
-            {verificationStatus === 'success' && credentialDetails && (
+            {(verificationStatus === 'success' || verificationStatus === 'failed') && credentialDetails && (
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
@@ -307,52 +408,183 @@ function CredentialVerification() {
                 className="mt-8 pt-8 border-t border-gray-200 dark:border-gray-700"
               >
                 <div className="text-center">
-                  <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-green-100 dark:bg-green-900 mb-4">
-                    <svg className="h-6 w-6 text-green-600 dark:text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
-                    </svg>
-                  </div>
-                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-                    Credential Verified!
-                  </h3>
-                  <p className="text-gray-600 dark:text-gray-300 mb-6">
-                    This credential has been verified on the blockchain
-                  </p>
+                  {verificationStatus === 'success' ? (
+                    <>
+                      <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-green-100 dark:bg-green-900 mb-4">
+                        <svg className="h-6 w-6 text-green-600 dark:text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+                        </svg>
+                      </div>
+                      <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                        Credential Verified!
+                      </h3>
+                      <p className="text-gray-600 dark:text-gray-300 mb-6">
+                        This credential has been verified on the blockchain
+                      </p>
+                    </>
+                  ) : (
+                    <>
+                      <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-red-100 dark:bg-red-900 mb-4">
+                        <svg className="h-6 w-6 text-red-600 dark:text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </div>
+                      <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                        Verification Failed
+                      </h3>
+                      <p className="text-gray-600 dark:text-gray-300 mb-6">
+                        This credential does not match its record on the blockchain
+                      </p>
+                    </>
+                  )}
+
+                  {/* Amendment Notice and Trail */}
+                  {amendment && (
+                    <div className="bg-purple-50 dark:bg-purple-900/20 rounded-lg p-6 mb-6 text-left">
+                      {amendment.requestedId !== credentialDetails?.onChainId && (
+                        <p className="text-sm text-purple-800 dark:text-purple-300 mb-3">
+                          Credential #{amendment.requestedId} has been amended. Showing the current version #{credentialDetails?.onChainId}.
+                        </p>
+                      )}
+                      <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Amendment Trail</h4>
+                      <ol className="space-y-2 border-l border-purple-300 dark:border-purple-700 pl-4">
+                        {amendment.trail.map((version, index) => (
+                          <li key={version.id.toString()} className="text-sm text-gray-900 dark:text-white">
+                            #{version.id.toString()}
+                            <span className="text-gray-600 dark:text-gray-400">
+                              {' '}— {index === 0 ? 'issued' : 'amended'} {new Date(Number(version.timestamp) * 1000).toLocaleString()}
+                              {index === amendment.trail.length - 1 && ' (current version)'}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
+
+                  {/* Per-check Results */}
+                  <ul className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-6 mb-6 space-y-3 text-left">
+                    {verificationChecks.map((check) => (
+                      <li key={check.id} className="flex items-start justify-between gap-4">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900 dark:text-white">{check.label}</p>
+                          <p className="text-xs text-gray-600 dark:text-gray-400 break-all">{check.detail}</p>
+                        </div>
+                        <span className={`text-sm font-medium ${check.passed ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                          {check.passed ? 'Passed' : 'Failed'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+
+                  {/* Status History */}
+                  {statusHistory.length > 0 && (
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-6 mb-6 text-left">
+                      <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Status History</h4>
+                      <ol className="space-y-3 border-l border-gray-300 dark:border-gray-600 pl-4">
+                        {statusHistory.map((entry, index) => (
+                          <li key={index}>
+                            <p className="text-sm font-medium text-gray-900 dark:text-white capitalize">
+                              {entry.action}
+                              {entry.reason && entry.reason !== 'Unspecified' && (
+                                <span className="font-normal text-gray-600 dark:text-gray-400"> — {entry.reason}</span>
+                              )}
+                            </p>
+                            <p className="text-xs text-gray-600 dark:text-gray-400 break-all">
+                              {new Date(entry.timestamp * 1000).toLocaleString()} by {entry.actor}
+                            </p>
+                            {entry.justificationCid && (
+                              <a
+                                href={ipfsService.getFileUrl(entry.justificationCid)}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-xs text-primary-600 dark:text-primary-400 hover:underline"
+                              >
+                                View justification
+                              </a>
+                            )}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
 
                   {/* Credential Details */}
                   <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-6 text-left">
                     <dl className="space-y-4">
                       {[
-                        ['Credential Type', credentialDetails.credentialType],
+                        ['Credential Type', showField('credentialType', credentialDetails.credentialType)],
                         ['Institution', credentialDetails.institution],
-                        ['Issue Date', new Date(credentialDetails.issueDate).toLocaleDateString()],
-                        ['Student Name', credentialDetails.studentName],
+                        ...(credentialDetails.issuerProfile?.accreditationNumber
+                          ? [['Accreditation', [
+                              credentialDetails.issuerProfile.accreditationNumber,
+                              credentialDetails.issuerProfile.country
+                            ].filter(Boolean).join(', ')]]
+                          : []),
+                        ...(credentialDetails.issuerProfile?.website
+                          ? [['Website', (
+                              <a
+                                key="website"
+                                href={credentialDetails.issuerProfile.website}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-primary-600 dark:text-primary-400 hover:underline"
+                              >
+                                {credentialDetails.issuerProfile.website}
+                              </a>
+                            )]]
+                          : []),
+                        ['Issue Date', showField('issueDate', () => new Date(credentialDetails.issueDate).toLocaleDateString())],
+                        ['Valid From', showField('validFrom', () => credentialDetails.validFrom ? new Date(credentialDetails.validFrom).toLocaleDateString() : 'Issuance')],
+                        ['Valid Until', showField('validUntil', () => credentialDetails.validUntil ? new Date(credentialDetails.validUntil).toLocaleDateString() : 'No expiry')],
+                        ['Status', <CredentialStatusBadge key="status" status={credentialDetails.status} />],
+                        ['Student Name', showField('studentName', credentialDetails.studentName)],
                         ['Student Address', credentialDetails.studentAddress],
                         ['Issuer Address', credentialDetails.issuerAddress],
+                        ...(credentialDetails.accreditationChain.length > 0
+                          ? [['Accreditation Chain', credentialDetails.accreditationChain.map(formatChainLink).join(' → ')]]
+                          : []),
+                        ['Signed By', credentialDetails.signatory],
+                        ...(credentialDetails.approvers.length > 0
+                          ? [['Approved By', credentialDetails.approvers.join(', ')]]
+                          : []),
+                        ['Network', credentialDetails.network],
+                        ['On-chain ID', credentialDetails.onChainId],
                         ['Blockchain Hash', credentialDetails.blockchainHash],
+                        ['Metadata Source', credentialDetails.metadataSource],
                         ['Verification Time', credentialDetails.verificationTime]
                       ].map(([label, value]) => (
                         <div key={label} className="flex justify-between">
                           <dt className="text-sm font-medium text-gray-600 dark:text-gray-400">{label}</dt>
-                          <dd className="text-sm text-gray-900 dark:text-white">{value}</dd>
+                          <dd className="text-sm text-gray-900 dark:text-white break-all text-right">{value}</dd>
                         </div>
                       ))}
                     </dl>
                   </div>
 
+                  {/* Certificate Preview */}
+                  {certificatePreview && (
+                    <img
+                      src={certificatePreview}
+                      alt="Certificate Preview"
+                      className="mt-6 mx-auto max-h-96 object-contain rounded-lg border border-gray-200 dark:border-gray-700"
+                    />
+                  )}
+
                   {/* Download Button */}
-                  <motion.button
-                    onClick={handleDownload}
-                    disabled={isDownloading}
-                    className="mt-6 px-4 py-2 bg-white dark:bg-gray-700 text-primary-600 dark:text-primary-400 
-                             border border-primary-600 dark:border-primary-400 rounded-md
-                             hover:bg-primary-50 dark:hover:bg-gray-600 transition-colors
-                             disabled:opacity-50 disabled:cursor-not-allowed"
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                  >
-                    {isDownloading ? 'Downloading...' : 'Download Certificate'}
-                  </motion.button>
+                  {verificationStatus === 'success' && (
+                    <motion.button
+                      onClick={handleDownload}
+                      disabled={isDownloading}
+                      className="mt-6 px-4 py-2 bg-white dark:bg-gray-700 text-primary-600 dark:text-primary-400 
+                               border border-primary-600 dark:border-primary-400 rounded-md
+                               hover:bg-primary-50 dark:hover:bg-gray-600 transition-colors
+                               disabled:opacity-50 disabled:cursor-not-allowed"
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                    >
+                      {isDownloading ? 'Downloading...' : 'Download Certificate'}
+                    </motion.button>
+                  )}
                 </div>
               </motion.div>
             )}
@@ -1,8 +1,12 @@
 import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { getUserProfile } from '../services/userService'
 import { PageTransition } from '../components/PageTransition'
+import SignatoryManager from '../components/SignatoryManager'
+import PendingApprovals from '../components/PendingApprovals'
+import IssuancePolicy from '../components/IssuancePolicy'
 
 /**
  * InstituteDashboard Component
@@ -11,6 +15,7 @@ import { PageTransition } from '../components/PageTransition'
 function InstituteDashboard() {
   // Authentication and state management
   const { user } = useAuth();
+  const navigate = useNavigate();
   const [userProfile, setUserProfile] = useState(null);
   const [activeTab, setActiveTab] = useState('issued')
 
@@ -71,6 +76,7 @@ function InstituteDashboard() {
             </motion.button>
             {/* Batch Processing Button */}
             <motion.button
+              onClick={() => navigate('/institution/bulk-upload')}
               className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm hover:shadow-md transition-shadow"
               whileHover={{ scale: 1.02 }}
               initial={{ opacity: 0, y: 20 }}
@@ -97,6 +103,15 @@ function InstituteDashboard() {
             ))}
           </div>
 
+          {/* Pending Approvals Queue */}
+          <PendingApprovals />
+
+          {/* Signatory Management */}
+          <SignatoryManager />
+
+          {/* Issuance Policy */}
+          <IssuancePolicy />
+
           {/* Recent Activity Section */}
           <motion.div 
             className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6"
@@ -2,11 +2,18 @@
 import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useAuth } from '../contexts/AuthContext'
-import { getUserProfile } from '../services/userService'
+import { useWeb3 } from '../contexts/Web3Context'
+import { getUserProfile, isWalletVerified, verifyWalletOwnership } from '../services/userService'
 import { PageTransition } from '../components/PageTransition'
 import { collection, query, where, getDocs, doc, getDoc } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { toast } from 'react-hot-toast';
+import CredentialStatusBadge from '../components/CredentialStatusBadge';
+import { getDisclosureRecord, setStudentEncryptionKey } from '../services/credentialService';
+import { pinataService } from '../services/pinataService';
+import { ipfsService } from '../services/ipfsService';
+import { createPresentation } from '../utils/disclosure';
+import { deriveEncryptionKey, signEncryptionKey, unwrapContentKey, decryptFile } from '../utils/crypto';
 
 // Define constants
 const USER_TYPES = {
@@ -14,9 +21,21 @@ const USER_TYPES = {
   INSTITUTE: 'institute'
 };
 
+// Display label for each field a presentation can reveal
+const DISCLOSURE_LABELS = {
+  studentName: 'Student name',
+  credentialType: 'Credential type',
+  institution: 'Institution',
+  issueDate: 'Issue date',
+  validFrom: 'Valid from',
+  validUntil: 'Valid until'
+};
+
 function StudentDashboard() {
   // Get user from auth context
   const { user } = useAuth();
+  // Get contract access from web3 context
+  const { account, contract, web3Service } = useWeb3();
   // State for storing user profile data
   const [userProfile, setUserProfile] = useState(null);
   // State for managing active tab
@@ -25,6 +44,27 @@ function StudentDashboard() {
   const [credentials, setCredentials] = useState([]);
   // State for managing loading state
   const [loading, setLoading] = useState(true);
+  // State for on-chain credential statuses, keyed by credential document ID
+  const [statuses, setStatuses] = useState({});
+  // State for soulbound token IDs, keyed by credential document ID
+  const [tokenIds, setTokenIds] = useState({});
+  // State for credentials offered to the connected wallet that await acceptance
+  const [offers, setOffers] = useState([]);
+  // Bumped after accepting or declining so statuses and offers are refetched
+  const [refreshKey, setRefreshKey] = useState(0);
+  // On-chain ID of the offer with a transaction in flight
+  const [answeringId, setAnsweringId] = useState(null);
+  // Selective-disclosure values and salts, keyed by credential document ID
+  const [disclosures, setDisclosures] = useState({});
+  // Whether the account holds a verified claim for the connected wallet, which disclosure reads require
+  const [walletVerified, setWalletVerified] = useState(false);
+  // Credential whose presentation is being built, and the fields it reveals
+  const [sharingId, setSharingId] = useState(null);
+  const [revealFields, setRevealFields] = useState([]);
+  // Certificate encryption key derived from the wallet, kept in memory only
+  const [encryptionKey, setEncryptionKey] = useState(null);
+  // Credential whose encrypted certificate is being decrypted
+  const [decryptingId, setDecryptingId] = useState(null);
 
   // Fetch user profile and credentials when component mounts
   useEffect(() => {
@@ -80,6 +120,236 @@ function StudentDashboard() {
     fetchStudentCredentials();
   }, [user]);
 
+  // Fetch the effective on-chain status of each credential once connected
+  useEffect(() => {
+    const fetchStatuses = async () => {
+      if (!contract || credentials.length === 0) return;
+
+      const entries = await Promise.all(
+        credentials
+          .filter(credential => credential.onChainId)
+          .map(async (credential) => {
+            try {
+              // Read from the chain the credential was issued on, older records predate multiple chains
+              const service = await web3Service.forChain(credential.chainId ?? web3Service.chainId);
+              return [credential.id, await service.getCredentialStatus(credential.onChainId)];
+            } catch (error) {
+              console.error('Error fetching credential status:', error);
+              return [credential.id, null];
+            }
+          })
+      );
+      setStatuses(Object.fromEntries(entries));
+    };
+
+    fetchStatuses();
+  }, [contract, credentials, web3Service, refreshKey]);
+
+  // Fetch the soulbound token of each credential once connected
+  useEffect(() => {
+    const fetchTokenIds = async () => {
+      if (!contract || credentials.length === 0) return;
+
+      const entries = await Promise.all(
+        credentials
+          .filter(credential => credential.onChainId)
+          .map(async (credential) => {
+            try {
+              const service = await web3Service.forChain(credential.chainId ?? web3Service.chainId);
+              return [credential.id, await service.getCredentialTokenId(credential.onChainId)];
+            } catch (error) {
+              console.error('Error fetching credential token:', error);
+              return [credential.id, null];
+            }
+          })
+      );
+      setTokenIds(Object.fromEntries(entries));
+    };
+
+    fetchTokenIds();
+  }, [contract, credentials, web3Service, refreshKey]);
+
+  // Check whether the connected wallet was verified for this account
+  useEffect(() => {
+    if (!user || !account) return;
+    isWalletVerified(account)
+      .then(setWalletVerified)
+      .catch(error => console.error('Error checking wallet verification:', error));
+  }, [user, account]);
+
+  // Fetch the values and salts of credentials issued with selective disclosure
+  useEffect(() => {
+    if (!walletVerified) return;
+    const fetchDisclosures = async () => {
+      const entries = await Promise.all(
+        credentials
+          .filter(credential => credential.selectiveDisclosure)
+          .map(async (credential) => {
+            try {
+              return [credential.id, await getDisclosureRecord(credential.id)];
+            } catch (error) {
+              console.error('Error fetching disclosure record:', error);
+              return [credential.id, null];
+            }
+          })
+      );
+      setDisclosures(Object.fromEntries(entries));
+    };
+
+    fetchDisclosures();
+  }, [credentials, walletVerified]);
+
+  // Fetch the credentials offered to the connected wallet
+  useEffect(() => {
+    if (!contract || !account) return;
+    web3Service.getOfferedCredentials(account)
+      .then(setOffers)
+      .catch(error => console.error('Error fetching offered credentials:', error));
+  }, [contract, account, web3Service, refreshKey]);
+
+  /**
+   * Accepts or declines an offered credential
+   * @param {bigint} credentialId - On-chain credential ID
+   * @param {boolean} accept - True to accept, false to decline
+   */
+  const handleOffer = async (credentialId, accept) => {
+    setAnsweringId(credentialId);
+    try {
+      if (accept) {
+        await web3Service.acceptCredential(credentialId);
+        toast.success('Credential accepted');
+      } else {
+        await web3Service.declineCredential(credentialId);
+        toast.success('Credential declined');
+      }
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error answering credential offer:', error);
+      toast.error(error.reason || 'Failed to update credential');
+    } finally {
+      setAnsweringId(null);
+    }
+  };
+
+  /**
+   * Copies a presentation revealing the selected fields of a credential
+   * @param {string} credentialId - Short ID of the credential document
+   */
+  const handleCopyPresentation = async (credentialId) => {
+    const { values, salts } = disclosures[credentialId];
+    try {
+      await navigator.clipboard.writeText(createPresentation(credentialId, values, salts, revealFields));
+      toast.success('Presentation copied, share it with the verifier along with the Credential ID');
+    } catch (error) {
+      console.error('Error copying presentation:', error);
+      toast.error('Failed to copy presentation');
+    }
+  };
+
+  /**
+   * Returns the wallet-derived encryption key, asking for a signature the first time
+   * @returns {Promise<ethers.SigningKey>} Certificate encryption key
+   */
+  const getEncryptionKey = async () => {
+    if (encryptionKey) return encryptionKey;
+    if (!web3Service.signer) {
+      throw new Error('Connect your wallet to use encrypted certificates');
+    }
+    const key = await deriveEncryptionKey(web3Service.signer);
+    setEncryptionKey(key);
+    return key;
+  };
+
+  /**
+   * Proves ownership of the connected wallet so its disclosure records become readable
+   */
+  const handleVerifyWallet = async () => {
+    try {
+      if (!web3Service.signer) {
+        throw new Error('Connect your wallet to verify it');
+      }
+      await verifyWalletOwnership(web3Service.signer);
+      setWalletVerified(true);
+      toast.success('Wallet verified');
+    } catch (error) {
+      console.error('Error verifying wallet:', error);
+      toast.error(error.message || 'Failed to verify wallet');
+    }
+  };
+
+  /**
+   * Publishes the student's encryption public key so institutions can encrypt certificates for them
+   */
+  const handleEnableEncryption = async () => {
+    try {
+      const key = await getEncryptionKey();
+      // Issuers only trust keys the wallet itself vouched for
+      const signature = await signEncryptionKey(web3Service.signer, key.compressedPublicKey);
+      await setStudentEncryptionKey(user.uid, key.compressedPublicKey, signature);
+      setUserProfile(prev => ({
+        ...prev,
+        encryptionPublicKey: key.compressedPublicKey,
+        encryptionKeySignature: signature
+      }));
+      toast.success('Encrypted certificates enabled');
+    } catch (error) {
+      console.error('Error enabling encrypted certificates:', error);
+      toast.error(error.message || 'Failed to enable encrypted certificates');
+    }
+  };
+
+  /**
+   * Fetches the metadata of an encrypted credential and unwraps its content key
+   * @param {Object} credential - Credential document
+   * @returns {Promise<{ metadata: Object, envelope: Object, contentKey: string }>} Decryption inputs
+   */
+  const unlockCertificate = async (credential) => {
+    const metadata = await pinataService.main(credential.cid);
+    const envelope = metadata.rawMetadata.encryption;
+    const contentKey = await unwrapContentKey(envelope, await getEncryptionKey());
+    return { metadata, envelope, contentKey };
+  };
+
+  /**
+   * Decrypts an encrypted certificate file and opens it in a new tab
+   * @param {Object} credential - Credential document
+   */
+  const handleViewCertificate = async (credential) => {
+    setDecryptingId(credential.id);
+    try {
+      const { metadata, envelope, contentKey } = await unlockCertificate(credential);
+      const response = await ipfsService.retrieveFile(metadata.imageHash);
+      const file = await decryptFile(await response.arrayBuffer(), envelope, contentKey);
+      window.open(URL.createObjectURL(file), '_blank');
+    } catch (error) {
+      console.error('Error decrypting certificate:', error);
+      toast.error(error.message || 'Failed to decrypt certificate');
+    } finally {
+      setDecryptingId(null);
+    }
+  };
+
+  /**
+   * Copies a verify link that carries the certificate's content key in the URL fragment
+   * The fragment is never sent to a server, only whoever holds the link can open the file
+   * @param {Object} credential - Credential document
+   */
+  const handleCopyShareLink = async (credential) => {
+    setDecryptingId(credential.id);
+    try {
+      const { contentKey } = await unlockCertificate(credential);
+      await navigator.clipboard.writeText(
+        `${window.location.origin}/verify?id=${credential.id}#key=${contentKey}`
+      );
+      toast.success('Share link copied, anyone with it can open the certificate file');
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      toast.error(error.message || 'Failed to create share link');
+    } finally {
+      setDecryptingId(null);
+    }
+  };
+
   if (loading) {
     return (
       <PageTransition>
@@ -124,6 +394,23 @@ function StudentDashboard() {
             <p className="text-primary-100">
               Manage and share your academic credentials
             </p>
+            {/* Keys published before they were signed have to be published again */}
+            {userProfile && !userProfile.encryptionKeySignature && (
+              <button
+                onClick={handleEnableEncryption}
+                className="mt-4 px-4 py-2 bg-white text-primary-700 rounded-md hover:bg-primary-50"
+              >
+                Enable encrypted certificates
+              </button>
+            )}
+            {account && !walletVerified && credentials.some(credential => credential.selectiveDisclosure) && (
+              <button
+                onClick={handleVerifyWallet}
+                className="mt-4 ml-2 px-4 py-2 bg-white text-primary-700 rounded-md hover:bg-primary-50"
+              >
+                Verify wallet to share selected fields
+              </button>
+            )}
           </motion.div>
 
           {/* Statistics grid section */}
@@ -143,6 +430,68 @@ function StudentDashboard() {
             ))}
           </div>
 
+          {/* Inbox of credentials awaiting acceptance */}
+          {offers.length > 0 && (
+            <motion.div
+              className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6 mb-8"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                Credential Inbox
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                These credentials only become valid once you accept them. Declining is final.
+              </p>
+              <div className="space-y-4">
+                {offers.map((offer) => {
+                  // Firestore record of the offer, for a readable type and institution name
+                  const record = credentials.find(credential => credential.cid === offer.metadata);
+                  return (
+                    <div
+                      key={offer.id.toString()}
+                      className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg flex flex-col md:flex-row md:justify-between md:items-center gap-3"
+                    >
+                      <div>
+                        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                          {record?.type || `Credential #${offer.id}`}
+                        </h3>
+                        <p className="text-gray-500 dark:text-gray-400 break-all">
+                          {record?.institution || offer.institution} • {new Date(Number(offer.timestamp) * 1000).toLocaleDateString()}
+                        </p>
+                        <a
+                          href={`https://ipfs.io/ipfs/${offer.metadata}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          View details
+                        </a>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleOffer(offer.id, true)}
+                          disabled={answeringId !== null}
+                          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => handleOffer(offer.id, false)}
+                          disabled={answeringId !== null}
+                          className="px-4 py-2 border border-red-600 text-red-600 dark:text-red-400 rounded-md
+                                   hover:bg-red-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </motion.div>
+          )}
+
           {/* Credentials list section */}
           <motion.div 
             className="bg-white dark:bg-gray-800 rounded-2xl shadow-sm p-6"
@@ -164,15 +513,48 @@ function StudentDashboard() {
                   >
                     <div className="flex justify-between items-center">
                       <div>
-                        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
-                          {credential.type}
-                        </h3>
+                        <div className="flex items-center gap-2">
+                          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                            {credential.type || disclosures[credential.id]?.values.credentialType || 'Private credential'}
+                          </h3>
+                          <CredentialStatusBadge status={statuses[credential.id]} />
+                        </div>
                         <p className="text-gray-500 dark:text-gray-400">
-                          {credential.institution} • {new Date(credential.createdAt).toLocaleDateString()}
+                          {credential.institution || disclosures[credential.id]?.values.institution} • {new Date(credential.createdAt).toLocaleDateString()}
                         </p>
                         <p className="text-sm text-gray-400 dark:text-gray-500">
                           ID: {credential.id}
+                          {tokenIds[credential.id] && ` • Token #${tokenIds[credential.id]}`}
                         </p>
+                        {disclosures[credential.id] && (
+                          <button
+                            onClick={() => {
+                              setSharingId(sharingId === credential.id ? null : credential.id);
+                              setRevealFields([]);
+                            }}
+                            className="mt-1 text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                          >
+                            {sharingId === credential.id ? 'Close' : 'Share selected fields'}
+                          </button>
+                        )}
+                        {credential.encrypted && (
+                          <div className="mt-1 flex gap-4">
+                            <button
+                              onClick={() => handleViewCertificate(credential)}
+                              disabled={decryptingId !== null}
+                              className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 disabled:opacity-50"
+                            >
+                              {decryptingId === credential.id ? 'Decrypting...' : 'View certificate'}
+                            </button>
+                            <button
+                              onClick={() => handleCopyShareLink(credential)}
+                              disabled={decryptingId !== null}
+                              className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 disabled:opacity-50"
+                            >
+                              Copy share link
+                            </button>
+                          </div>
+                        )}
                       </div>
                       {credential.cid && (
                         <button 
@@ -183,6 +565,38 @@ function StudentDashboard() {
                         </button>
                       )}
                     </div>
+
+                    {/* Presentation Builder */}
+                    {sharingId === credential.id && (
+                      <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+                        <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+                          Choose the fields to reveal; everything else stays hidden from the verifier.
+                        </p>
+                        <div className="flex flex-wrap gap-3 mb-3">
+                          {Object.keys(disclosures[credential.id].values).map(field => (
+                            <label key={field} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                              <input
+                                type="checkbox"
+                                checked={revealFields.includes(field)}
+                                onChange={(e) => setRevealFields(prev => e.target.checked
+                                  ? [...prev, field]
+                                  : prev.filter(revealed => revealed !== field))}
+                                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                              />
+                              {DISCLOSURE_LABELS[field] || field}
+                            </label>
+                          ))}
+                        </div>
+                        <button
+                          onClick={() => handleCopyPresentation(credential.id)}
+                          disabled={revealFields.length === 0}
+                          className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700
+                                   disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Copy presentation
+                        </button>
+                      </div>
+                    )}
                   </motion.div>
                 ))
               ) : (
@@ -0,0 +1,180 @@
+import { web3Service } from './web3Service';
+import { ipfsService } from './ipfsService';
+
+// Share of the block gas limit a single batch transaction may use
+const BLOCK_GAS_SHARE_PERCENT = 50n;
+// Upper bound on credentials per batch, keeps calldata and wallet prompts manageable
+const MAX_BATCH_SIZE = 200;
+// Number of credentials used to estimate the gas cost of one credential
+const GAS_SAMPLE_SIZE = 5;
+// Number of IPFS uploads running at the same time
+const UPLOAD_CONCURRENCY = 4;
+
+export const bulkIssuanceService = {
+  /**
+   * Runs an async worker over items with a bounded number in flight
+   * A failing item does not stop the others; its error is returned instead
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function called with (item, index)
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Maximum workers running at once
+   * @param {Function} [options.onProgress] - Called with (completed, total)
+   * @returns {Promise<Array<{ value?: any, error?: Error }>>} Result per item, in order
+   */
+  async runWithConcurrency(items, worker, { concurrency = UPLOAD_CONCURRENCY, onProgress } = {}) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let completed = 0;
+
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = { value: await worker(items[index], index) };
+        } catch (error) {
+          results[index] = { error };
+        }
+        completed++;
+        onProgress?.(completed, items.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+    return results;
+  },
+
+  /**
+   * Uploads certificate files to IPFS in parallel
+   * @param {File[]} files - Certificate files
+   * @param {Function} [onProgress] - Called with (uploaded, total)
+   * @returns {Promise<Array<{ value?: Object, error?: Error }>>} ipfsService.uploadCertificateFile result per file
+   */
+  async uploadFiles(files, onProgress) {
+    return await this.runWithConcurrency(
+      files,
+      (file) => ipfsService.uploadCertificateFile(file),
+      { onProgress }
+    );
+  },
+
+  /**
+   * Pins credential metadata to IPFS in parallel
+   * @param {Object[]} metadataList - Metadata per credential
+   * @param {Function} [onProgress] - Called with (uploaded, total)
+   * @returns {Promise<Array<{ value?: string, error?: Error }>>} Metadata CID per credential
+   */
+  async uploadMetadata(metadataList, onProgress) {
+    return await this.runWithConcurrency(
+      metadataList,
+      (metadata) => ipfsService.uploadJSON(metadata),
+      { onProgress }
+    );
+  },
+
+  /**
+   * Returns the gas a single batch transaction may use on the current chain
+   * @returns {Promise<bigint>} Gas budget per batch
+   */
+  async getGasBudget() {
+    const block = await web3Service.provider.getBlock('latest');
+    return block.gasLimit * BLOCK_GAS_SHARE_PERCENT / 100n;
+  },
+
+  /**
+   * Finds the largest chunk starting at `start` whose estimated gas fits the budget
+   * @param {Object[]} requests - CredentialRequest structs
+   * @param {number} start - Index of the first request in the chunk
+   * @param {bigint} budget - Gas budget per batch
+   * @returns {Promise<number>} Number of requests in the chunk
+   */
+  async planChunkSize(requests, start, budget) {
+    const contract = web3Service.getContract();
+    const remaining = requests.length - start;
+
+    // Extrapolate from a small sample to a first guess
+    const sampleSize = Math.min(remaining, GAS_SAMPLE_SIZE);
+    const sampleGas = await contract.batchIssueCredentials.estimateGas(
+      requests.slice(start, start + sampleSize),
+      true
+    );
+    const gasPerCredential = sampleGas / BigInt(sampleSize);
+    let size = Math.min(remaining, MAX_BATCH_SIZE, Math.max(1, Number(budget / gasPerCredential)));
+
+    // Shrink until the estimate for the whole chunk fits
+    while (size > 1) {
+      try {
+        const estimate = await contract.batchIssueCredentials.estimateGas(
+          requests.slice(start, start + size),
+          true
+        );
+        if (estimate <= budget) break;
+      } catch (error) {
+        console.warn(`Gas estimate failed for ${size} credentials, retrying smaller:`, error);
+      }
+      size = Math.floor(size / 2);
+    }
+    return size;
+  },
+
+  /**
+   * Issues credentials through batchIssueCredentials in chunks sized to the block gas limit
+   * Invalid rows are skipped by the contract and reported instead of reverting a chunk. If a
+   * chunk fails, chunks already mined keep their results and the remaining rows carry the error
+   * @param {Object[]} requests - CredentialRequest structs
+   * @param {Function} [onChunk] - Called with ({ completed, total, transactionHash }) after each chunk
+   * @returns {Promise<Array<{ credentialId?: string, transactionHash?: string, error?: string }>>}
+   *   Result per request, in order
+   */
+  async issueInChunks(requests, onChunk) {
+    const contract = web3Service.getContract();
+    const budget = await this.getGasBudget();
+    const results = new Array(requests.length);
+    let start = 0;
+
+    while (start < requests.length) {
+      let size, chunk, receipt;
+      try {
+        size = await this.planChunkSize(requests, start, budget);
+        chunk = requests.slice(start, start + size);
+        const tx = await contract.batchIssueCredentials(chunk, true);
+        receipt = await tx.wait();
+      } catch (error) {
+        console.error('Chunk issuance failed:', error);
+        const reason = `Not issued: ${error.reason || error.message}`;
+        for (let index = start; index < requests.length; index++) {
+          results[index] = { error: reason };
+        }
+        break;
+      }
+
+      // Map events back to rows: issued IDs arrive in order, skipped rows carry their index
+      const issuedIds = [];
+      const skipped = new Map();
+      for (const log of receipt.logs) {
+        let parsed = null;
+        try {
+          parsed = contract.interface.parseLog(log);
+        } catch {
+          continue;
+        }
+        if (parsed?.name === 'CredentialIssued') {
+          issuedIds.push(parsed.args.credentialId.toString());
+        } else if (parsed?.name === 'BatchItemSkipped') {
+          skipped.set(Number(parsed.args.index), parsed.args.reason);
+        }
+      }
+
+      let issuedIndex = 0;
+      chunk.forEach((_, index) => {
+        results[start + index] = skipped.has(index)
+          ? { error: skipped.get(index) }
+          : { credentialId: issuedIds[issuedIndex++], transactionHash: receipt.hash };
+      });
+
+      start += size;
+      onChunk?.({ completed: start, total: requests.length, transactionHash: receipt.hash });
+    }
+
+    return results;
+  }
+};
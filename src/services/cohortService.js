@@ -0,0 +1,85 @@
+import { web3Service } from './web3Service';
+import { ipfsService } from './ipfsService';
+import { hashCertificateMetadata } from '../utils/crypto';
+import { cohortLeaf, buildMerkleTree } from '../utils/merkle';
+
+export const cohortService = {
+  /**
+   * Issues a cohort of credentials by anchoring a single Merkle root on-chain
+   * Each credential's certificate hash covers its metadata without the
+   * `cohort` block, which is added afterwards with the student's proof
+   * @param {Object} params
+   * @param {Object[]} params.credentials - Metadata per student (must include studentAddress)
+   * @param {number} [params.validFrom=0] - Start of validity in unix seconds, 0 for none
+   * @param {number} [params.validUntil=0] - Expiry in unix seconds, 0 for none
+   * @param {Function} [params.onProgress] - Called with (uploaded, total) after each metadata upload
+   * @returns {Promise<Object>} { cohortId, merkleRoot, transactionHash, credentials } where each
+   *   credential is { studentAddress, metadataCid, certificateHash, leaf }
+   */
+  async issueCohort({ credentials, validFrom = 0, validUntil = 0, onProgress }) {
+    if (!credentials?.length) {
+      throw new Error('A cohort needs at least one credential');
+    }
+
+    // Hash every credential and build the Merkle tree over their leaves
+    const certificateHashes = await Promise.all(credentials.map(hashCertificateMetadata));
+    const leaves = credentials.map((credential, index) =>
+      cohortLeaf(credential.studentAddress, certificateHashes[index])
+    );
+    const { root, proofs } = buildMerkleTree(leaves);
+
+    // Publish a manifest so the cohort's membership can be audited
+    const manifestCid = await ipfsService.uploadJSON({
+      type: 'cohort_manifest',
+      merkleRoot: root,
+      credentialCount: leaves.length,
+      leaves: credentials.map((credential, index) => ({
+        studentAddress: credential.studentAddress,
+        leaf: leaves[index]
+      })),
+      createdAt: new Date().toISOString()
+    });
+
+    // Anchor the root on-chain
+    const tx = await web3Service.getContract().anchorCohort(
+      root,
+      leaves.length,
+      manifestCid,
+      validFrom,
+      validUntil
+    );
+    const receipt = await tx.wait();
+    const anchoredEvent = web3Service.findEvent(receipt, 'CohortAnchored');
+    if (!anchoredEvent) {
+      throw new Error('Cohort anchoring event not found in transaction');
+    }
+    const cohortId = anchoredEvent.args.cohortId.toString();
+
+    // Bundle each student's proof into their metadata and pin it
+    const issued = [];
+    for (let i = 0; i < credentials.length; i++) {
+      const metadataCid = await ipfsService.uploadJSON({
+        ...credentials[i],
+        cohort: {
+          cohortId,
+          merkleRoot: root,
+          proof: proofs[i]
+        }
+      });
+      issued.push({
+        studentAddress: credentials[i].studentAddress,
+        metadataCid,
+        certificateHash: certificateHashes[i],
+        leaf: leaves[i]
+      });
+      onProgress?.(i + 1, credentials.length);
+    }
+
+    return {
+      cohortId,
+      merkleRoot: root,
+      transactionHash: receipt.hash,
+      credentials: issued
+    };
+  }
+};
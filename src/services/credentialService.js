@@ -0,0 +1,207 @@
+import { doc, getDoc, setDoc, updateDoc, query, where, getDocs, collection, arrayUnion } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { verifyEncryptionKey } from '../utils/crypto';
+
+/**
+ * Generates a short, human-friendly document ID such as "cred-swift-k3x"
+ * @param {string} prefix - Prefix identifying the document kind
+ * @returns {string} Short friendly ID
+ */
+export const generateShortFriendlyId = (prefix = "user") => {
+  const words = ["brave", "bright", "calm", "clever", "kind", "swift", "lion", "fox", "hawk", "owl"];
+  const randomWord = words[Math.floor(Math.random() * words.length)];
+  const uniquePart = Math.random().toString(36).substring(2, 5); // 3-char random alphanumeric
+  return `${prefix}-${randomWord}-${uniquePart}`;
+};
+
+/**
+ * Links a credential to every student document with the given wallet,
+ * creating a student document if none exists yet
+ * @param {string} studentAddress - Wallet address of the student
+ * @param {string} credentialId - Short ID of the credential document
+ * @returns {Promise<boolean>} True if a new student document was created
+ */
+export const linkCredentialToStudent = async (studentAddress, credentialId) => {
+  try {
+    // Query for the student document
+    const studentsRef = collection(db, "students");
+    const q = query(studentsRef, where("walletAddress", "==", studentAddress));
+    const querySnapshot = await getDocs(q);
+
+    if (querySnapshot.empty) {
+      // Create a new student document if none exists
+      const newStudentRef = doc(db, "students", generateShortFriendlyId("stud"));
+      await setDoc(newStudentRef, {
+        walletAddress: studentAddress,
+        credentials: [credentialId],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      return true;
+    }
+
+    // Update existing student documents
+    await Promise.all(querySnapshot.docs.map(async (docSnapshot) => {
+      const currentCredentials = docSnapshot.data().credentials || [];
+      if (!currentCredentials.includes(credentialId)) {
+        return updateDoc(doc(db, "students", docSnapshot.id), {
+          credentials: arrayUnion(credentialId),
+          lastUpdated: new Date().toISOString()
+        });
+      }
+    }));
+    return false;
+  } catch (error) {
+    console.error('Error linking credential to student:', error);
+    throw error;
+  }
+};
+
+/**
+ * Looks up the encryption public key a student published for certificate files
+ * Only keys signed by the student's wallet are returned, as anyone can claim a wallet
+ * address on a student document
+ * @param {string} studentAddress - Wallet address of the student
+ * @returns {Promise<string|null>} secp256k1 public key, or null if the student has not published a signed one
+ */
+export const getStudentEncryptionKey = async (studentAddress) => {
+  try {
+    const q = query(collection(db, "students"), where("walletAddress", "==", studentAddress));
+    const querySnapshot = await getDocs(q);
+    const withKey = querySnapshot.docs.map(docSnapshot => docSnapshot.data()).find(student =>
+      student.encryptionPublicKey && student.encryptionKeySignature &&
+      verifyEncryptionKey(student.encryptionPublicKey, student.encryptionKeySignature, studentAddress)
+    );
+    return withKey ? withKey.encryptionPublicKey : null;
+  } catch (error) {
+    console.error('Error fetching student encryption key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Publishes a student's encryption public key so issuers can encrypt certificate files for them
+ * @param {string} studentId - ID of the student document
+ * @param {string} publicKey - secp256k1 public key derived from the student's wallet
+ * @param {string} signature - Wallet signature over the key, see signEncryptionKey
+ * @returns {Promise<boolean>} True if the key was stored
+ */
+export const setStudentEncryptionKey = async (studentId, publicKey, signature) => {
+  try {
+    await updateDoc(doc(db, "students", studentId), {
+      encryptionPublicKey: publicKey,
+      encryptionKeySignature: signature,
+      lastUpdated: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error storing student encryption key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates the Firestore record that maps a short certificate ID to its metadata CID
+ * @param {Object} data - Record fields
+ * @param {string} data.cid - IPFS CID of the credential metadata
+ * @param {string} data.studentAddress - Wallet address of the student
+ * @param {string} data.type - Credential type
+ * @param {string} data.institution - Issuing institution name
+ * @param {Object} [data.extra] - Additional fields, e.g. onChainId or cohortId and the chainId they live on
+ * @returns {Promise<string>} Short ID of the new credential document
+ */
+export const createCredentialRecord = async ({ cid, studentAddress, type, institution, extra = {} }) => {
+  try {
+    // Generate a unique short ID
+    const shortId = generateShortFriendlyId("cred");
+    await setDoc(doc(db, "credentials", shortId), {
+      cid,
+      id: shortId,
+      studentAddress,
+      createdAt: new Date().toISOString(),
+      type,
+      institution,
+      ...extra
+    });
+    return shortId;
+  } catch (error) {
+    console.error('Error creating credential record:', error);
+    throw error;
+  }
+};
+
+/**
+ * Updates the credential records created for an on-chain proposal, e.g. once it is executed
+ * @param {string} proposalId - On-chain proposal ID stored on the records
+ * @param {Object} data - Fields to update
+ * @returns {Promise<number>} Number of records updated
+ */
+export const updateProposalRecords = async (proposalId, data) => {
+  try {
+    const q = query(collection(db, "credentials"), where("proposalId", "==", proposalId));
+    const querySnapshot = await getDocs(q);
+    await Promise.all(querySnapshot.docs.map(docSnapshot =>
+      updateDoc(doc(db, "credentials", docSnapshot.id), data)
+    ));
+    return querySnapshot.size;
+  } catch (error) {
+    console.error('Error updating proposal records:', error);
+    throw error;
+  }
+};
+
+/**
+ * Updates fields of an existing credential record
+ * @param {string} credentialId - Short ID of the credential document
+ * @param {Object} data - Fields to update
+ * @returns {Promise<boolean>} True if update was successful
+ */
+export const updateCredentialRecord = async (credentialId, data) => {
+  try {
+    await updateDoc(doc(db, "credentials", credentialId), data);
+    return true;
+  } catch (error) {
+    console.error('Error updating credential record:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stores the field values and salts behind a credential's selective-disclosure commitments
+ * Kept in a separate collection that only the student's account can read
+ * @param {string} credentialId - Short ID of the credential document
+ * @param {Object} data - Record fields
+ * @param {string} data.studentAddress - Wallet address of the student
+ * @param {Object} data.values - Committed field values
+ * @param {Object} data.salts - Salt of each committed field
+ * @returns {Promise<boolean>} True if the record was created
+ */
+export const createDisclosureRecord = async (credentialId, { studentAddress, values, salts }) => {
+  try {
+    await setDoc(doc(db, "disclosures", credentialId), {
+      studentAddress,
+      values,
+      salts,
+      createdAt: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error creating disclosure record:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the field values and salts of a credential for its student
+ * @param {string} credentialId - Short ID of the credential document
+ * @returns {Promise<Object|null>} { studentAddress, values, salts }, or null if none exists
+ */
+export const getDisclosureRecord = async (credentialId) => {
+  try {
+    const snapshot = await getDoc(doc(db, "disclosures", credentialId));
+    return snapshot.exists() ? snapshot.data() : null;
+  } catch (error) {
+    console.error('Error fetching disclosure record:', error);
+    throw error;
+  }
+};
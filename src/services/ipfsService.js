@@ -1,88 +1,40 @@
-// IPFS Service class for handling interactions with Pinata IPFS
+import { isPdf } from '../utils/certificateFile';
+import { storage } from './storage';
+
+// IPFS Service class for uploading and retrieving credential content
+// Delegates to the storage backend selected by configuration (Pinata, local node or in-memory)
 class IPFSService {
-  // Initialize service with Pinata API credentials
-  constructor() {
-    this.apiKey = import.meta.env.VITE_PINATA_API_KEY;
-    this.apiSecret = import.meta.env.VITE_PINATA_API_SECRET;
-    this.gateway = 'https://gateway.pinata.cloud/ipfs/';
+  // Initialize service with the configured storage backend
+  constructor(backend = storage) {
+    this.storage = backend;
   }
 
-  // Test the connection to Pinata API
+  // Test the connection to the storage backend
   async testConnection() {
-    try {
-      const response = await fetch('https://api.pinata.cloud/data/testAuthentication', {
-        headers: {
-          'pinata_api_key': this.apiKey,
-          'pinata_secret_api_key': this.apiSecret
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      console.log('Pinata connection test:', data);
-      return true;
-    } catch (error) {
-      console.error('Pinata connection test failed:', error);
-      return false;
-    }
+    return this.storage.testConnection();
   }
 
-  // Upload an image file to IPFS through Pinata
-  async uploadImage(file) {
+  // Upload a certificate file (image or PDF) to IPFS
+  async uploadCertificateFile(file) {
     try {
-      // Ensure the file is an image
-      if (!file.type.startsWith('image/')) {
-        throw new Error('File must be an image');
+      // Ensure the file is an image or a PDF
+      if (!file.type.startsWith('image/') && !isPdf(file.type)) {
+        throw new Error('File must be an image or a PDF');
       }
 
-      // Prepare form data for upload
-      const formData = new FormData();
-      formData.append('file', file);
-
       // Clean filename for storage
       const originalFileName = file.name;
       const cleanFileName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_').toLowerCase();
 
-      // Create metadata for the file
-      const metadata = JSON.stringify({
-        name: cleanFileName,
-        keyvalues: {
-          type: 'certificate_image',
-          originalFileName: originalFileName,
-          timestamp: new Date().toISOString()
-        }
-      });
-      formData.append('pinataMetadata', metadata);
-
-      // Set Pinata-specific options
-      const options = JSON.stringify({
-        cidVersion: 1,
-        wrapWithDirectory: false
-      });
-      formData.append('pinataOptions', options);
-
-      // Make the upload request
-      const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-        method: 'POST',
-        headers: {
-          'pinata_api_key': this.apiKey,
-          'pinata_secret_api_key': this.apiSecret,
-        },
-        body: formData
+      const hash = await this.storage.pinFile(file, cleanFileName, {
+        type: isPdf(file.type) ? 'certificate_pdf' : 'certificate_image',
+        originalFileName: originalFileName
       });
 
-      if (!response.ok) {
-        throw new Error(`Upload failed: ${response.status}`);
-      }
-
       // Return upload results with file information
-      const result = await response.json();
       return {
-        hash: result.IpfsHash,
-        url: this.getFileUrl(result.IpfsHash),
+        hash,
+        url: this.getFileUrl(hash),
         originalFileName: originalFileName
       };
     } catch (error) {
@@ -91,59 +43,51 @@ class IPFSService {
     }
   }
 
-  // Upload JSON data to IPFS through Pinata
-  async uploadJSON(jsonData) {
+  // Upload an encrypted certificate file to IPFS
+  // The original filename is not pinned, it could identify the student
+  async uploadEncryptedFile(blob) {
     try {
-      // Make request to pin JSON data
-      const response = await fetch('https://api.pinata.cloud/pinning/pinJSONToIPFS', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'pinata_api_key': this.apiKey,
-          'pinata_secret_api_key': this.apiSecret,
-        },
-        body: JSON.stringify({
-          pinataContent: jsonData,
-          pinataMetadata: {
-            name: `certificate_metadata_${Date.now()}`,
-            keyvalues: {
-              type: 'certificate_metadata',
-              timestamp: new Date().toISOString()
-            }
-          },
-          pinataOptions: {
-            cidVersion: 1,
-            wrapWithDirectory: false
-          }
-        })
+      const hash = await this.storage.pinFile(blob, `encrypted_certificate_${Date.now()}`, {
+        type: 'certificate_encrypted'
       });
+      return {
+        hash,
+        url: this.getFileUrl(hash)
+      };
+    } catch (error) {
+      console.error('Encrypted file upload error:', error);
+      throw error;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Upload failed: ${response.status}`);
-      }
-
-      const result = await response.json();
-      return result.IpfsHash;
+  // Upload JSON data to IPFS
+  async uploadJSON(jsonData) {
+    try {
+      return await this.storage.pinJSON(jsonData, `certificate_metadata_${Date.now()}`, {
+        type: 'certificate_metadata'
+      });
     } catch (error) {
       console.error('JSON upload error:', error);
       throw error;
     }
   }
 
-  // Retrieve a file from IPFS using its hash
-  async retrieveFile(hash) {
+  // Retrieve a file from IPFS using its hash, along with the source that served it
+  async retrieve(hash) {
     try {
-      const response = await fetch(this.getFileUrl(hash));
-      if (!response.ok) {
-        throw new Error(`Retrieval failed: ${response.status}`);
-      }
-      return response;
+      return await this.storage.retrieveFile(hash);
     } catch (error) {
       console.error('File retrieval error:', error);
       throw error;
     }
   }
 
+  // Retrieve a file from IPFS using its hash
+  async retrieveFile(hash) {
+    const { response } = await this.retrieve(hash);
+    return response;
+  }
+
   // Retrieve and parse JSON data from IPFS
   async retrieveJSON(hash) {
     try {
@@ -155,12 +99,12 @@ class IPFSService {
     }
   }
 
-  // Generate the full IPFS gateway URL for a file
+  // Generate the gateway URL for a file
   getFileUrl(hash) {
-    return `${this.gateway}${hash}`;
+    return this.storage.getFileUrl(hash);
   }
 }
 
 // Create and export a singleton instance of the service
 const ipfsService = new IPFSService();
-export { ipfsService };
\ No newline at end of file
+export { ipfsService };
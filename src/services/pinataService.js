@@ -1,104 +1,45 @@
-// Dedicated Pinata gateway URL and authentication token
-const GATEWAY_URL = 'rose-hollow-mollusk-554.mypinata.cloud';
-const GATEWAY_TOKEN = import.meta.env.VITE_GATEWAY_KEY;
-
-// Array of public IPFS gateways for fallback and redundancy
-const GATEWAYS = [
-  'https://ipfs.io/ipfs/',
-  'https://cloudflare-ipfs.com/ipfs/',
-  'https://gateway.pinata.cloud/ipfs/',
-  'https://dweb.link/ipfs/',
-  'https://ipfs.fleek.co/ipfs/'
-];
-
-// Array of CORS proxy services to handle cross-origin requests
-const CORS_PROXIES = [
-  'https://api.allorigins.win/raw?url=',
-  'https://corsproxy.io/?',
-  'https://cors.eu.org/'
-];
+import { ipfsService } from './ipfsService';
+import { cacheMetadata, getCachedMetadata } from '../utils/metadataCache';
 
 export const pinataService = {
   // Main function to fetch metadata from IPFS using CID (Content Identifier)
+  // Served from the IndexedDB cache when possible, otherwise through the configured storage backend
   async main(cid) {
     try {
-      console.log('Starting fetch from gateway:', new Date().toISOString());
-      
-      let metadata = null;
-      let lastError = null;
-
-      // Iterate through each gateway and proxy combination
-      for (const gateway of GATEWAYS) {
-        for (const proxy of CORS_PROXIES) {
-          try {
-            // Set up request timeout handling
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+      console.log('Starting fetch from storage:', new Date().toISOString());
 
-            // Attempt to fetch metadata using current gateway and proxy
-            const response = await fetch(
-              `${proxy}${encodeURIComponent(`${gateway}${cid}`)}`, 
-              {
-                signal: controller.signal,
-                headers: {
-                  'Accept': 'application/json'
-                }
-              }
-            );
-
-            clearTimeout(timeoutId);
-
-            if (response.ok) {
-              metadata = await response.json();
-              break;
-            }
-          } catch (error) {
-            // Log failure and continue to next combination
-            console.warn(`Gateway ${gateway} with proxy ${proxy} failed:`, error);
-            lastError = error;
-            continue;
-          }
-        }
-        if (metadata) break;
-      }
-
-      // Fallback to dedicated Pinata gateway if all public gateways fail
+      let metadata = await getCachedMetadata(cid);
+      let source = 'Local cache';
       if (!metadata) {
-        try {
-          const response = await fetch(`https://${GATEWAY_URL}/ipfs/${cid}?pinataGatewayToken=${GATEWAY_TOKEN}`);
-          if (response.ok) {
-            metadata = await response.json();
-          }
-        } catch (error) {
-          console.warn('Pinata gateway failed:', error);
-          lastError = error;
-        }
-      }
-
-      // Throw error if all attempts fail
-      if (!metadata) {
-        throw lastError || new Error('Failed to fetch metadata from all gateways');
+        const retrieved = await ipfsService.retrieve(cid);
+        metadata = await retrieved.response.json();
+        source = retrieved.source;
+        await cacheMetadata(cid, metadata);
       }
 
       console.log('Received metadata:', new Date().toISOString());
 
-      // Construct image URL using dedicated Pinata gateway for reliable access
-      let imageUrl = '';
-      if (metadata.imageHash) {
-        imageUrl = `https://${GATEWAY_URL}/ipfs/${metadata.imageHash}?pinataGatewayToken=${GATEWAY_TOKEN}`;
-      }
+      // Construct image URL from the storage backend's gateway
+      const imageUrl = metadata.imageHash ? ipfsService.getFileUrl(metadata.imageHash) : '';
 
       // Return structured credential metadata with image URL
       return {
         credentialType: metadata.credentialType,
         institution: metadata.institution,
         issueDate: metadata.issueDate,
+        validFrom: metadata.validFrom,
+        validUntil: metadata.validUntil,
         studentName: metadata.studentName,
         studentAddress: metadata.studentAddress,
         issuerAddress: metadata.issuerAddress,
         imageHash: metadata.imageHash,
         imageUrl: imageUrl,
-        originalFileName: metadata.originalFileName
+        originalFileName: metadata.originalFileName,
+        mimeType: metadata.mimeType,
+        // Where the metadata was served from, e.g. a gateway or the local cache
+        metadataSource: source,
+        // Untouched JSON as pinned, needed to recompute the certificate hash
+        rawMetadata: metadata
       };
 
     } catch (error) {
@@ -0,0 +1,28 @@
+import config from '../../config';
+import { PinataStorage } from './pinataStorage';
+import { KuboStorage } from './kuboStorage';
+import { MemoryStorage } from './memoryStorage';
+
+/**
+ * Creates the storage backend for certificate files and metadata
+ * Every backend implements testConnection, pinFile, pinJSON, retrieveFile and getFileUrl;
+ * retrieveFile resolves to { response, source }, source naming where the content came from
+ * @param {string} backend - 'pinata', 'kubo' or 'memory'
+ * @returns {PinataStorage|KuboStorage|MemoryStorage} Storage backend
+ * @throws {Error} If the backend is unknown
+ */
+export const createStorage = (backend) => {
+  switch (backend) {
+    case 'pinata':
+      return new PinataStorage();
+    case 'kubo':
+      return new KuboStorage({ apiUrl: config.ipfsApiUrl, gatewayUrl: config.ipfsGatewayUrl });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};
+
+// Backend selected by configuration, shared by the whole app
+export const storage = createStorage(config.storageBackend);
@@ -0,0 +1,66 @@
+// Storage backend for a local IPFS node (Kubo) through its HTTP RPC API
+// The node must allow the app's origin in API.HTTPHeaders.Access-Control-Allow-Origin
+export class KuboStorage {
+  // Initialize backend with the node's RPC API and gateway addresses
+  constructor({ apiUrl, gatewayUrl }) {
+    this.name = 'kubo';
+    this.label = 'Local IPFS node';
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.gateway = gatewayUrl;
+  }
+
+  // Test the connection to the node
+  async testConnection() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/v0/id`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return true;
+    } catch (error) {
+      console.error('IPFS node connection test failed:', error);
+      return false;
+    }
+  }
+
+  // Add a file or blob to the node, pinned, and return its CID
+  // Kubo has no per-pin metadata, so name and keyvalues only name the upload
+  async pinFile(file, name) {
+    const formData = new FormData();
+    formData.append('file', file, name);
+
+    const response = await fetch(`${this.apiUrl}/api/v0/add?cid-version=1&pin=true`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error(`Upload failed: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.Hash;
+  }
+
+  // Add JSON data to the node and return its CID
+  async pinJSON(jsonData, name, keyvalues) {
+    const blob = new Blob([JSON.stringify(jsonData)], { type: 'application/json' });
+    return this.pinFile(blob, `${name}.json`, keyvalues);
+  }
+
+  // Retrieve content by CID from the node, which checks every block against its CID itself
+  async retrieveFile(cid) {
+    const response = await fetch(`${this.apiUrl}/api/v0/cat?arg=${encodeURIComponent(cid)}`, {
+      method: 'POST'
+    });
+    if (!response.ok) {
+      throw new Error(`Retrieval failed: ${response.status}`);
+    }
+    return { response, source: this.label };
+  }
+
+  // Generate the node's gateway URL for a file
+  getFileUrl(cid) {
+    return `${this.gateway}${cid}`;
+  }
+}
@@ -0,0 +1,46 @@
+import { computeCid } from '../../utils/cid';
+
+// Storage backend that keeps content in memory, for tests and offline demos
+// Content gets the CIDv1 IPFS would assign it but is lost when the page reloads
+export class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.label = 'In-memory storage';
+    this.blobs = new Map(); // Maps CID to stored Blob
+  }
+
+  // Always available
+  async testConnection() {
+    return true;
+  }
+
+  // Store a file or blob and return its CID
+  async pinFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const cid = (await computeCid(bytes)).toString();
+    this.blobs.set(cid, new Blob([bytes], { type: file.type }));
+    return cid;
+  }
+
+  // Store JSON data and return its CID
+  async pinJSON(jsonData) {
+    return this.pinFile(new Blob([JSON.stringify(jsonData)], { type: 'application/json' }));
+  }
+
+  // Retrieve content by CID
+  async retrieveFile(cid) {
+    const blob = this.blobs.get(cid);
+    if (!blob) {
+      throw new Error('Retrieval failed: 404');
+    }
+    return {
+      response: new Response(blob, { headers: { 'Content-Type': blob.type } }),
+      source: this.label
+    };
+  }
+
+  // Content has no URL outside this page, so return the ipfs:// URI
+  getFileUrl(cid) {
+    return `ipfs://${cid}`;
+  }
+}
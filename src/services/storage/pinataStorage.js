@@ -0,0 +1,242 @@
+import { parseVerifiableCid, verifyContent } from '../../utils/cid';
+
+// Dedicated Pinata gateway URL and authentication token
+const GATEWAY_URL = 'rose-hollow-mollusk-554.mypinata.cloud';
+const GATEWAY_TOKEN = import.meta.env.VITE_GATEWAY_KEY;
+
+// Array of public IPFS gateways for fallback and redundancy
+const GATEWAYS = [
+  'https://ipfs.io/ipfs/',
+  'https://cloudflare-ipfs.com/ipfs/',
+  'https://gateway.pinata.cloud/ipfs/',
+  'https://dweb.link/ipfs/',
+  'https://ipfs.fleek.co/ipfs/'
+];
+
+// Array of CORS proxy services to handle cross-origin requests
+const CORS_PROXIES = [
+  'https://api.allorigins.win/raw?url=',
+  'https://corsproxy.io/?',
+  'https://cors.eu.org/'
+];
+
+// Time allowed for each request to a gateway
+const REQUEST_TIMEOUT_MS = 5000;
+// Time the last winning gateway gets to answer alone before the others join the race
+const HEAD_START_MS = 1000;
+// localStorage key remembering the gateway that won the last race
+const PREFERRED_GATEWAY_KEY = 'preferredIpfsGateway';
+
+// Host name of a gateway or proxy URL, used in source labels
+const hostOf = (url) => new URL(url).host;
+
+// Storage backend that pins through Pinata's REST API and reads through IPFS gateways
+export class PinataStorage {
+  // Initialize backend with Pinata API credentials
+  constructor() {
+    this.name = 'pinata';
+    this.label = 'Pinata';
+    this.apiKey = import.meta.env.VITE_PINATA_API_KEY;
+    this.apiSecret = import.meta.env.VITE_PINATA_API_SECRET;
+    this.gateway = 'https://gateway.pinata.cloud/ipfs/';
+  }
+
+  // Test the connection to Pinata API
+  async testConnection() {
+    try {
+      const response = await fetch('https://api.pinata.cloud/data/testAuthentication', {
+        headers: {
+          'pinata_api_key': this.apiKey,
+          'pinata_secret_api_key': this.apiSecret
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      console.log('Pinata connection test:', data);
+      return true;
+    } catch (error) {
+      console.error('Pinata connection test failed:', error);
+      return false;
+    }
+  }
+
+  // Pin a file or blob and return its CID
+  async pinFile(file, name, keyvalues) {
+    // Prepare form data for upload
+    const formData = new FormData();
+    formData.append('file', file, name);
+
+    // Create metadata for the file
+    const metadata = JSON.stringify({
+      name,
+      keyvalues: {
+        ...keyvalues,
+        timestamp: new Date().toISOString()
+      }
+    });
+    formData.append('pinataMetadata', metadata);
+
+    // Set Pinata-specific options
+    const options = JSON.stringify({
+      cidVersion: 1,
+      wrapWithDirectory: false
+    });
+    formData.append('pinataOptions', options);
+
+    // Make the upload request
+    const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
+      method: 'POST',
+      headers: {
+        'pinata_api_key': this.apiKey,
+        'pinata_secret_api_key': this.apiSecret,
+      },
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error(`Upload failed: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.IpfsHash;
+  }
+
+  // Pin JSON data and return its CID
+  async pinJSON(jsonData, name, keyvalues) {
+    const response = await fetch('https://api.pinata.cloud/pinning/pinJSONToIPFS', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'pinata_api_key': this.apiKey,
+        'pinata_secret_api_key': this.apiSecret,
+      },
+      body: JSON.stringify({
+        pinataContent: jsonData,
+        pinataMetadata: {
+          name,
+          keyvalues: {
+            ...keyvalues,
+            timestamp: new Date().toISOString()
+          }
+        },
+        pinataOptions: {
+          cidVersion: 1,
+          wrapWithDirectory: false
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Upload failed: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.IpfsHash;
+  }
+
+  // Gateways content can be retrieved from, each with the URLs to try in order
+  getGateways(cid) {
+    return [
+      {
+        name: GATEWAY_URL,
+        urls: [{ url: `https://${GATEWAY_URL}/ipfs/${cid}?pinataGatewayToken=${GATEWAY_TOKEN}`, label: 'Pinata dedicated gateway' }]
+      },
+      ...GATEWAYS.map(gateway => ({
+        name: hostOf(gateway),
+        urls: CORS_PROXIES.map(proxy => ({
+          url: `${proxy}${encodeURIComponent(`${gateway}${cid}`)}`,
+          label: `${hostOf(gateway)} via ${hostOf(proxy)}`
+        }))
+      }))
+    ];
+  }
+
+  // Fetch content from one URL and check it against the CID
+  // Gateways and proxies are untrusted: content is only returned once it hashes to the CID
+  async fetchVerified(url, cid, raceSignal) {
+    // Set up request timeout handling, also aborting once another gateway wins the race
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timeoutId = setTimeout(abort, REQUEST_TIMEOUT_MS);
+    raceSignal.addEventListener('abort', abort);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Retrieval failed: ${response.status}`);
+      }
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      if (!(await verifyContent(cid, bytes))) {
+        throw new Error('Content retrieved from IPFS does not match its CID and was rejected');
+      }
+      return new Response(bytes, {
+        headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream' }
+      });
+    } finally {
+      clearTimeout(timeoutId);
+      raceSignal.removeEventListener('abort', abort);
+    }
+  }
+
+  // Try a gateway's URLs in order until one returns verified content
+  async fetchFromGateway(gateway, cid, raceSignal) {
+    let lastError = null;
+    for (const { url, label } of gateway.urls) {
+      if (raceSignal.aborted) break;
+      try {
+        return { response: await this.fetchVerified(url, cid, raceSignal), gateway, source: label };
+      } catch (error) {
+        lastError = error;
+        // Requests cancelled because another gateway won are not failures
+        if (raceSignal.aborted) break;
+        // Log failure and continue to next URL
+        console.warn(`Gateway source ${label} failed:`, error);
+      }
+    }
+    throw lastError || new Error(`Gateway ${gateway.name} was not tried`);
+  }
+
+  // Retrieve content by CID, racing all gateways concurrently
+  // The gateway that won the last race gets a head start, the others join if it is slow or fails
+  async retrieveFile(cid) {
+    parseVerifiableCid(cid);
+    const race = new AbortController();
+    const gateways = this.getGateways(cid);
+    const preferred = gateways.find(gateway => gateway.name === localStorage.getItem(PREFERRED_GATEWAY_KEY));
+
+    let startOthers;
+    const headStart = new Promise(resolve => {
+      startOthers = resolve;
+      setTimeout(resolve, preferred ? HEAD_START_MS : 0);
+    });
+
+    try {
+      const winner = await Promise.any(gateways.map(gateway => gateway === preferred
+        ? this.fetchFromGateway(gateway, cid, race.signal).catch(error => {
+          startOthers();
+          throw error;
+        })
+        : headStart.then(() => this.fetchFromGateway(gateway, cid, race.signal))));
+
+      localStorage.setItem(PREFERRED_GATEWAY_KEY, winner.gateway.name);
+      return { response: winner.response, source: winner.source };
+    } catch (error) {
+      // Prefer reporting rejected content over plain network failures
+      const errors = error.errors || [];
+      throw errors.find(failure => failure.message.includes('does not match'))
+        || new Error('Failed to fetch content from all gateways');
+    } finally {
+      // Stop the requests still in flight
+      race.abort();
+    }
+  }
+
+  // Generate the public gateway URL for a file
+  getFileUrl(cid) {
+    return `${this.gateway}${cid}`;
+  }
+}
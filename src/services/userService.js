@@ -1,6 +1,7 @@
 import { doc, getDoc, updateDoc } from 'firebase/firestore';
 import { getFirestore } from 'firebase/firestore';
 import { getAuth } from 'firebase/auth';
+import { walletProofMessage } from '../utils/crypto';
 
 // Initialize Firebase services
 // Get Firestore database instance
@@ -65,4 +66,47 @@ export const getUserCredentials = async (userId) => {
     console.error('Error fetching user credentials:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Checks whether the signed-in user's account carries a verified claim for a wallet
+ * @param {string} address - Wallet address to check
+ * @returns {Promise<boolean>} True if the walletAddress claim matches the address
+ */
+export const isWalletVerified = async (address) => {
+  if (!auth.currentUser || !address) return false;
+  const { claims } = await auth.currentUser.getIdTokenResult();
+  return claims.walletAddress === address.toLowerCase();
+};
+
+/**
+ * Proves to the server that the signed-in user controls a wallet, which adds a
+ * walletAddress claim to their account for wallet-bound Firestore rules
+ * @param {ethers.Signer} signer - Signer of the wallet to link
+ * @returns {Promise<string>} The verified wallet address
+ */
+export const verifyWalletOwnership = async (signer) => {
+  try {
+    const user = auth.currentUser;
+    if (!user) throw new Error('Please sign in first');
+
+    const address = await signer.getAddress();
+    const issuedAt = Date.now();
+    const signature = await signer.signMessage(walletProofMessage(user.uid, address, issuedAt));
+    const response = await fetch('/api/wallet-claim', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ idToken: await user.getIdToken(), address, issuedAt, signature })
+    });
+    if (!response.ok) {
+      throw new Error(await response.text() || 'Wallet verification failed');
+    }
+
+    // Refresh the ID token so Firestore sees the new claim
+    await user.getIdToken(true);
+    return address;
+  } catch (error) {
+    console.error('Error verifying wallet ownership:', error);
+    throw error;
+  }
+};
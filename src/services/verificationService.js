@@ -0,0 +1,357 @@
+import { web3Service } from './web3Service';
+import { getNetwork, getDeployedChainIds } from '../config/networks';
+import { hashCertificateMetadata } from '../utils/crypto';
+import { cohortLeaf, verifyMerkleProof } from '../utils/merkle';
+import { verifyDisclosedFields } from '../utils/disclosure';
+
+// Case-insensitive comparison for checksummed and lowercase addresses
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Formats an on-chain unix timestamp (seconds) as a local date
+const formatChainDate = (seconds) => new Date(Number(seconds) * 1000).toLocaleDateString();
+
+// Describes the issuing institution by its registry name, its accreditor, whether it was
+// authorized at issuance and, when a staff wallet signed, the signatory
+const describeIssuer = ({ institution, issuedBy, registered, authorized, profile, chain }) => {
+  const issuer = profile ? `${profile.name} (${institution})` : institution;
+  const accreditor = chain.find(link => link.role === 'accreditor');
+  const accreditedBy = !accreditor ? ''
+    : accreditor.active ? `, accredited by ${accreditor.address}`
+    : `, accredited by ${accreditor.address} whose accreditor role has since been revoked`;
+  const signedBy = sameAddress(institution, issuedBy) ? '' : `, signed by staff wallet ${issuedBy}`;
+  if (!authorized) return `${issuer} was not an authorized institution at the time of issuance${signedBy}`;
+  if (registered) return `${issuer} is a registered institution${accreditedBy}${signedBy}`;
+  // A suspended institution keeps its chain, a removed one loses it
+  return chain.length > 0
+    ? `${issuer} was authorized at the time of issuance but is now suspended${accreditedBy}${signedBy}`
+    : `${issuer} was authorized at the time of issuance but is no longer registered${signedBy}`;
+};
+
+// Human-readable explanation of an effective credential status
+const describeStatus = (status, credential, history) => {
+  // Reason of the most recent suspension or revocation, if any
+  const lastChange = history[history.length - 1];
+  const reason = lastChange && lastChange.reason !== 'Unspecified' ? ` (${lastChange.reason})` : '';
+
+  switch (status) {
+    case 'valid':
+      return credential.validUntil > 0n
+        ? `Valid until ${formatChainDate(credential.validUntil)}`
+        : 'Valid, does not expire';
+    case 'not-yet-valid':
+      return `Not valid until ${formatChainDate(credential.validFrom)}`;
+    case 'expired':
+      return `Expired on ${formatChainDate(credential.validUntil)}`;
+    case 'revoked':
+      return `Revoked by the issuing institution${reason}`;
+    case 'suspended':
+      return `Suspended by the issuing institution${reason}`;
+    case 'offered':
+      return 'Offered to the student but not yet accepted';
+    case 'declined':
+      return 'Declined by the student';
+    case 'superseded':
+      return `Superseded by amended credential #${credential.supersededBy}`;
+    default:
+      return 'Unknown status';
+  }
+};
+
+// Runs a lookup on each chain a record may live on until one returns a matching record
+// The chain recorded at issuance is the only candidate when known, otherwise the wallet's chain
+// is tried first; the first record found is kept as a fallback so the checks can explain a mismatch
+const searchChains = async (chainId, lookup, matches) => {
+  const candidates = chainId ? [Number(chainId)] : getDeployedChainIds(web3Service.chainId);
+  let fallback = { record: null, service: null };
+  for (const candidate of candidates) {
+    try {
+      const service = await web3Service.forChain(candidate);
+      const record = await lookup(service);
+      if (record && matches(record)) return { record, service };
+      if (record && !fallback.record) fallback = { record, service };
+    } catch (error) {
+      console.warn(`Lookup on chain ${candidate} failed:`, error);
+    }
+  }
+  return fallback;
+};
+
+// Result of a verification that found nothing on-chain
+const notFound = (label, detail) => ({
+  verified: false,
+  credential: null,
+  network: null,
+  issuer: null,
+  accreditationChain: [],
+  status: null,
+  history: [],
+  approvers: [],
+  amendments: [],
+  currentVersionId: null,
+  disclosed: [],
+  checks: [{ id: 'record', label, passed: false, detail }]
+});
+
+export const verificationService = {
+  /**
+   * Locates the on-chain record for a credential
+   * Uses the stored on-chain ID when available, otherwise searches the
+   * student's credentials for the one pointing at the metadata CID
+   * @param {Object} params
+   * @param {string} [params.onChainId] - Credential ID recorded at issuance
+   * @param {string} params.metadataCid - IPFS CID of the credential metadata
+   * @param {string} params.studentAddress - Wallet address of the student
+   * @param {Object} [params.service] - Web3 service bound to the chain to search, defaults to the connected one
+   * @returns {Promise<Object|null>} Credential struct, or null if none matches
+   */
+  async findCredential({ onChainId, metadataCid, studentAddress, service = web3Service }) {
+    if (onChainId !== undefined && onChainId !== null && onChainId !== '') {
+      try {
+        return await service.getCredential(onChainId);
+      } catch (error) {
+        console.warn('Credential lookup by ID failed:', error);
+        return null;
+      }
+    }
+
+    if (!studentAddress) return null;
+
+    // Walk newest first, a re-issued credential is the one that matters
+    const ids = await service.getStudentCredentials(studentAddress);
+    for (const id of [...ids].reverse()) {
+      const credential = await service.getCredential(id);
+      if (credential.metadata === metadataCid) {
+        return credential;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Verifies a credential's IPFS metadata against its on-chain record
+   * @param {Object} params
+   * Looks the credential up on every chain with a deployment unless the issuing chain is known
+   * @param {string} [params.onChainId] - Credential ID recorded at issuance
+   * @param {number|string} [params.chainId] - Chain the credential was issued on, if recorded
+   * @param {string} params.metadataCid - IPFS CID of the credential metadata
+   * @param {Object} params.metadata - Metadata returned by pinataService.main
+   * @param {Object} [params.presentation] - Decoded selective-disclosure presentation, if shared
+   * @returns {Promise<Object>} { verified, credential, network, issuer, accreditationChain, status, history,
+   *   approvers, amendments, currentVersionId, disclosed, checks }, where network is the registry entry
+   *   of the chain the credential was found on, issuer is the institution's
+   *   registry profile (or null), accreditationChain runs from the contract owner to the institution,
+   *   disclosed lists the presentation's revealed fields as { field, value, valid },
+   *   approvers lists the signatories that approved a proposed credential, amendments lists every
+   *   version of the credential, original first, and each check is { id, label, passed, detail }
+   */
+  async verify({ onChainId, chainId, metadataCid, metadata, presentation = null }) {
+    // Cohort credentials carry a Merkle proof instead of an on-chain record
+    if (metadata.rawMetadata?.cohort) {
+      return await this.verifyCohortCredential({ chainId, metadata });
+    }
+
+    const { record: credential, service } = await searchChains(
+      chainId,
+      service => this.findCredential({ onChainId, metadataCid, studentAddress: metadata.studentAddress, service }),
+      credential => credential.metadata === metadataCid
+    );
+
+    if (!credential) {
+      return notFound('On-chain record', 'No matching credential was found on the blockchain');
+    }
+
+    // Recompute the certificate hash from the metadata exactly as pinned
+    const computedHash = await hashCertificateMetadata(metadata.rawMetadata);
+    const issuerRegistered = await service.isInstitution(credential.institution);
+    const issuerAuthorized = await service.wasAuthorizedAt(credential.institution, credential.timestamp);
+    const issuer = await service.getInstitutionProfile(credential.institution);
+    const accreditationChain = await service.getAccreditationChain(credential.institution);
+    const status = await service.getCredentialStatus(credential.id);
+    const history = await service.getStatusHistory(credential.id);
+    const approvers = await service.getCredentialApprovers(credential.id);
+    const amendments = credential.supersedes !== 0n || credential.supersededBy !== 0n
+      ? await service.getAmendmentTrail(credential.id)
+      : [credential];
+    // Metadata with selective disclosure pins commitments instead of the personal fields
+    const commitments = metadata.rawMetadata?.disclosure?.commitments;
+    const disclosed = commitments
+      ? await verifyDisclosedFields(commitments, presentation?.fields || {})
+      : [];
+
+    const checks = [
+      {
+        id: 'record',
+        label: 'On-chain record',
+        passed: credential.metadata === metadataCid,
+        detail: credential.metadata === metadataCid
+          ? `Credential #${credential.id} references this metadata`
+          : `Credential #${credential.id} references different metadata`
+      },
+      {
+        id: 'certificateHash',
+        label: 'Certificate hash',
+        passed: computedHash.toLowerCase() === credential.certificateHash.toLowerCase(),
+        detail: computedHash.toLowerCase() === credential.certificateHash.toLowerCase()
+          ? 'Metadata matches the hash recorded on-chain'
+          : 'Metadata has been altered since issuance'
+      },
+      {
+        id: 'certificateFile',
+        label: 'Certificate file',
+        passed: credential.ipfsHash === metadata.imageHash,
+        detail: credential.ipfsHash === metadata.imageHash
+          ? 'Certificate file matches the on-chain reference'
+          : 'Certificate file differs from the on-chain reference'
+      },
+      {
+        id: 'student',
+        label: 'Student',
+        passed: sameAddress(credential.student, metadata.studentAddress),
+        detail: sameAddress(credential.student, metadata.studentAddress)
+          ? 'Issued to the wallet named in the metadata'
+          : `Issued on-chain to ${credential.student}`
+      },
+      {
+        id: 'status',
+        label: 'Validity status',
+        passed: status === 'valid',
+        detail: describeStatus(status, credential, history)
+      },
+      {
+        id: 'issuer',
+        label: 'Issuing institution',
+        // Authority at issuance counts, so removing an institution does not invalidate its history
+        passed: issuerAuthorized,
+        detail: describeIssuer({
+          institution: credential.institution,
+          issuedBy: credential.issuedBy,
+          registered: issuerRegistered,
+          authorized: issuerAuthorized,
+          profile: issuer,
+          chain: accreditationChain
+        })
+      },
+      ...(commitments ? [{
+        id: 'disclosure',
+        label: 'Disclosed fields',
+        passed: disclosed.every(field => field.valid),
+        detail: disclosed.length === 0
+          ? 'No fields disclosed, the student can share a presentation revealing chosen fields'
+          : disclosed.every(field => field.valid)
+          ? `${disclosed.length} of ${Object.keys(commitments).length} committed fields disclosed and matching`
+          : `Fields do not match their commitments: ${disclosed.filter(field => !field.valid).map(field => field.field).join(', ')}`
+      }] : [])
+    ];
+
+    return {
+      verified: checks.every(check => check.passed),
+      credential,
+      network: getNetwork(service.chainId),
+      issuer,
+      accreditationChain,
+      status,
+      history,
+      approvers,
+      amendments,
+      currentVersionId: amendments[amendments.length - 1].id.toString(),
+      disclosed,
+      checks
+    };
+  },
+
+  /**
+   * Verifies a Merkle-root anchored cohort credential
+   * Checks the student's proof against the anchored root, the per-leaf
+   * revocation status and the anchoring institution
+   * @param {Object} params
+   * @param {number|string} [params.chainId] - Chain the cohort was anchored on, if recorded
+   * @param {Object} params.metadata - Metadata returned by pinataService.main
+   * @returns {Promise<Object>} Same shape as verify(), with credential
+   *   describing the cohort and cohortId set
+   */
+  async verifyCohortCredential({ chainId, metadata }) {
+    const { cohort: cohortProof, ...baseMetadata } = metadata.rawMetadata;
+
+    const { record: cohort, service } = await searchChains(
+      chainId,
+      service => service.getCohort(cohortProof.cohortId),
+      cohort => cohort.merkleRoot === cohortProof.merkleRoot
+    );
+
+    if (!cohort) {
+      return notFound('On-chain cohort', `Cohort #${cohortProof.cohortId} was not found on the blockchain`);
+    }
+
+    // The certificate hash covers the metadata without the cohort block
+    const certificateHash = await hashCertificateMetadata(baseMetadata);
+    const leaf = cohortLeaf(metadata.studentAddress, certificateHash);
+    const proofValid = verifyMerkleProof(cohort.merkleRoot, leaf, cohortProof.proof)
+      && await service.verifyCohortCredential(cohort.id, metadata.studentAddress, certificateHash, cohortProof.proof);
+    const issuerRegistered = await service.isInstitution(cohort.institution);
+    const issuerAuthorized = await service.wasAuthorizedAt(cohort.institution, cohort.timestamp);
+    const issuer = await service.getInstitutionProfile(cohort.institution);
+    const accreditationChain = await service.getAccreditationChain(cohort.institution);
+    const status = await service.getCohortCredentialStatus(cohort.id, leaf);
+    const history = await service.getCohortRevocations(cohort.id, leaf);
+
+    const checks = [
+      {
+        id: 'record',
+        label: 'On-chain cohort',
+        passed: cohort.merkleRoot === cohortProof.merkleRoot,
+        detail: cohort.merkleRoot === cohortProof.merkleRoot
+          ? `Cohort #${cohort.id} of ${cohort.credentialCount} credentials is anchored on-chain`
+          : `Cohort #${cohort.id} is anchored with a different Merkle root`
+      },
+      {
+        id: 'certificateHash',
+        label: 'Cohort membership',
+        passed: proofValid,
+        detail: proofValid
+          ? 'Merkle proof shows this credential is part of the cohort'
+          : 'Merkle proof does not match, metadata has been altered or is not part of the cohort'
+      },
+      {
+        id: 'status',
+        label: 'Validity status',
+        passed: status === 'valid',
+        detail: describeStatus(status, cohort, history)
+      },
+      {
+        id: 'issuer',
+        label: 'Issuing institution',
+        passed: issuerAuthorized,
+        detail: describeIssuer({
+          institution: cohort.institution,
+          issuedBy: cohort.issuedBy,
+          registered: issuerRegistered,
+          authorized: issuerAuthorized,
+          profile: issuer,
+          chain: accreditationChain
+        })
+      }
+    ];
+
+    return {
+      verified: checks.every(check => check.passed),
+      credential: {
+        id: cohort.id,
+        cohortId: cohort.id,
+        institution: cohort.institution,
+        issuedBy: cohort.issuedBy,
+        certificateHash,
+        timestamp: cohort.timestamp
+      },
+      network: getNetwork(service.chainId),
+      issuer,
+      accreditationChain,
+      status,
+      history,
+      approvers: [],
+      amendments: [],
+      currentVersionId: null,
+      disclosed: [],
+      checks
+    };
+  }
+};
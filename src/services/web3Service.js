@@ -1,5 +1,11 @@
 import { ethers } from 'ethers';
+import { expectedNetwork, getNetwork, getDeployment, getDeployedChainIds } from '../config/networks';
 import AcademicCredentials from '../../artifacts/contracts/AcademicCredentials.sol/AcademicCredentials.json';
+import CredentialToken from '../../artifacts/contracts/CredentialToken.sol/CredentialToken.json';
+import { credentialStatuses, offerStatuses, statusActions, revocationReasons, signatoryRoles } from '../utils/schema';
+
+// Read-only services for other chains, keyed by chain ID and created on first use
+const chainServices = new Map();
 
 /**
  * Service class for handling Web3 interactions with Ethereum blockchain
@@ -7,9 +13,12 @@ import AcademicCredentials from '../../artifacts/contracts/AcademicCredentials.s
 class Web3Service {
   // Initialize service with null values for Web3 components
   constructor() {
-    this.provider = null;    // Ethereum provider (MetaMask)
-    this.signer = null;      // Account signer for transactions
+    this.provider = null;    // Ethereum provider (MetaMask, or JSON-RPC when read-only)
+    this.signer = null;      // Account signer for transactions, null when read-only
     this.contract = null;    // Smart contract instance
+    this.tokenContract = null; // Soulbound credential token, resolved lazily from the contract
+    this.chainId = null;     // Chain the provider is connected to
+    this.deployment = null;  // Contract deployment on that chain, see getDeployment
   }
 
   /**
@@ -26,33 +35,35 @@ class Web3Service {
       // Initialize provider and signer with MetaMask
       this.provider = new ethers.BrowserProvider(window.ethereum);
       this.signer = await this.provider.getSigner();
-      
-      // Get contract address from environment variables
-      const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
-      if (!contractAddress) {
-        throw new Error("Contract address not found in environment variables");
-      }
+
+      // Pick the deployment on the wallet's chain; on a chain without one the contract
+      // stays unset until the wallet switches
+      this.chainId = Number((await this.provider.getNetwork()).chainId);
+      this.deployment = getDeployment(this.chainId);
 
       // Log initialization parameters for debugging
       console.log('Initializing contract with:', {
-        address: contractAddress,
+        chainId: this.chainId,
+        address: this.deployment?.address,
         hasABI: !!AcademicCredentials.abi,
         signer: this.signer
       });
 
       // Initialize the smart contract instance
-      this.contract = new ethers.Contract(
-        contractAddress,
+      this.contract = this.deployment && new ethers.Contract(
+        this.deployment.address,
         AcademicCredentials.abi,
         this.signer
       );
+      this.tokenContract = null;
 
       // Return connection details
       return {
         address: await this.signer.getAddress(),
         provider: this.provider,
         signer: this.signer,
-        contract: this.contract
+        contract: this.contract,
+        deployment: this.deployment
       };
     } catch (error) {
       console.error("Web3 connection error:", error);
@@ -60,6 +71,84 @@ class Web3Service {
     }
   }
 
+  /**
+   * Connects to a network's JSON-RPC endpoint without a wallet
+   * Every view call works, so credentials can be verified; sending transactions needs connect()
+   * @param {number} [chainId] - Chain to connect to, defaults to the configured network when the contract is deployed there
+   * @returns {Promise<Object>} Connection details with provider and contract, and no address or signer
+   */
+  async connectReadOnly(chainId = getDeployedChainIds()[0] ?? expectedNetwork.chainId) {
+    try {
+      const network = getNetwork(chainId);
+      const deployment = getDeployment(chainId);
+      if (!network || !deployment) {
+        throw new Error(`The credentials contract is not deployed on chain ${chainId}`);
+      }
+
+      // A static network stops ethers from polling an endpoint that is down
+      const staticNetwork = ethers.Network.from(chainId);
+      this.provider = new ethers.JsonRpcProvider(network.rpcUrl, staticNetwork, { staticNetwork });
+      this.signer = null;
+      this.chainId = chainId;
+      this.deployment = deployment;
+      this.contract = new ethers.Contract(deployment.address, AcademicCredentials.abi, this.provider);
+      this.tokenContract = null;
+
+      return {
+        address: null,
+        provider: this.provider,
+        signer: null,
+        contract: this.contract,
+        deployment
+      };
+    } catch (error) {
+      console.error("Read-only connection error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Returns a service bound to the contract deployed on a chain
+   * Reuses this connection when it is already on that chain, otherwise opens a read-only one
+   * @param {number} chainId - Chain ID with a deployment, see getDeployment
+   * @returns {Promise<Web3Service>} Connected service
+   */
+  async forChain(chainId) {
+    if (this.contract && this.chainId === chainId) return this;
+    if (!chainServices.has(chainId)) {
+      const service = new Web3Service();
+      const connecting = service.connectReadOnly(chainId).then(() => service);
+      chainServices.set(chainId, connecting);
+      // Let a later call retry if connecting failed
+      connecting.catch(() => chainServices.delete(chainId));
+    }
+    return chainServices.get(chainId);
+  }
+
+  /**
+   * Asks the wallet to switch to a network, adding it to the wallet first if it is unknown there
+   * @param {Object} network - Entry of the network registry in src/config/networks.js
+   */
+  async switchNetwork(network) {
+    const chainId = ethers.toQuantity(network.chainId);
+    try {
+      await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+    } catch (error) {
+      // 4902: the wallet has not been told about this chain yet
+      if (error.code !== 4902) throw error;
+      await window.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId,
+          chainName: network.name,
+          rpcUrls: [network.rpcUrl],
+          nativeCurrency: network.nativeCurrency,
+          ...(network.explorerUrl && { blockExplorerUrls: [network.explorerUrl] })
+        }]
+      });
+    }
+  }
+
   /**
    * Checks if an address belongs to a registered institution
    * @param {string} address - Ethereum address to check
@@ -74,12 +163,440 @@ class Web3Service {
     }
   }
 
+  /**
+   * Fetches the registry profile of an institution
+   * @param {string} institution - Ethereum address of the institution
+   * @returns {Promise<Object|null>} { name, country, accreditationNumber, website, profileCid },
+   *   or null if the address was never registered with a profile
+   */
+  async getInstitutionProfile(institution) {
+    const profile = await this.getContract().getInstitutionProfile(institution);
+    if (!profile.name) return null;
+    return {
+      name: profile.name,
+      country: profile.country,
+      accreditationNumber: profile.accreditationNumber,
+      website: profile.website,
+      profileCid: profile.profileCid
+    };
+  }
+
+  /**
+   * Checks whether an institution was authorized to issue at a given time
+   * @param {string} institution - Ethereum address of the institution
+   * @param {number|bigint} timestamp - On-chain unix timestamp (seconds), e.g. a credential's timestamp
+   * @returns {Promise<boolean>} Whether the time falls within one of its authorization periods
+   */
+  async wasAuthorizedAt(institution, timestamp) {
+    return await this.getContract().wasAuthorizedAt(institution, timestamp);
+  }
+
+  /**
+   * Fetches the accreditation chain of an institution, root first
+   * @param {string} institution - Ethereum address of the institution
+   * @returns {Promise<Object[]>} [{ address, role, jurisdiction, active }] where role is 'owner',
+   *   'accreditor' or 'institution' and active is false for accreditors removed since;
+   *   empty if the institution was never registered or was removed
+   */
+  async getAccreditationChain(institution) {
+    const contract = this.getContract();
+    const chain = await contract.getAccreditationChain(institution);
+    return await Promise.all(chain.map(async (address, index) => {
+      if (index === 0) return { address, role: 'owner', jurisdiction: null, active: true };
+      if (index === chain.length - 1) return { address, role: 'institution', jurisdiction: null, active: true };
+      // The contract keeps removed accreditors in the chain, only their jurisdiction is cleared
+      const jurisdiction = await contract.getAccreditorJurisdiction(address);
+      return { address, role: 'accreditor', jurisdiction: jurisdiction || null, active: !!jurisdiction };
+    }));
+  }
+
+  /**
+   * Returns the institution an address signs for
+   * @param {string} address - Ethereum address to check
+   * @returns {Promise<string|null>} The address itself for institutions, the
+   *   granting institution for staff wallets, or null
+   */
+  async getSignatoryInstitution(address) {
+    const institution = await this.getContract().getSignatoryInstitution(address);
+    return institution === ethers.ZeroAddress ? null : institution;
+  }
+
+  /**
+   * Grants a signatory role to a staff wallet of the connected institution
+   * @param {string} signatory - Staff wallet address
+   * @param {string} role - One of signatoryRoles
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async grantSignatoryRole(signatory, role) {
+    const tx = await this.getContract().grantSignatoryRole(signatory, signatoryRoles.indexOf(role));
+    return await tx.wait();
+  }
+
+  /**
+   * Revokes a signatory role from a staff wallet of the connected institution
+   * @param {string} signatory - Staff wallet address
+   * @param {string} role - One of signatoryRoles
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async revokeSignatoryRole(signatory, role) {
+    const tx = await this.getContract().revokeSignatoryRole(signatory, signatoryRoles.indexOf(role));
+    return await tx.wait();
+  }
+
+  /**
+   * Lists the staff wallets of an institution and their current roles
+   * Replays the role grant and revoke events in chain order
+   * @param {string} institution - Ethereum address of the institution
+   * @returns {Promise<Object[]>} { address, roles } per staff wallet holding at least one role
+   */
+  async getSignatories(institution) {
+    const contract = this.getContract();
+    const events = [
+      ...await contract.queryFilter(contract.filters.SignatoryRoleGranted(institution), this.deployment.blockNumber),
+      ...await contract.queryFilter(contract.filters.SignatoryRoleRevoked(institution), this.deployment.blockNumber)
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const roles = new Map();
+    for (const event of events) {
+      const { signatory, role } = event.args;
+      const held = roles.get(signatory) || new Set();
+      if (event.eventName === 'SignatoryRoleGranted') {
+        held.add(signatoryRoles[Number(role)]);
+      } else {
+        held.delete(signatoryRoles[Number(role)]);
+      }
+      roles.set(signatory, held);
+    }
+
+    return [...roles]
+      .filter(([, held]) => held.size > 0)
+      .map(([address, held]) => ({ address, roles: signatoryRoles.filter(role => held.has(role)) }));
+  }
+
+  /**
+   * Fetches how many signatories must approve a proposed credential of an institution
+   * @param {string} institution - Ethereum address of the institution
+   * @returns {Promise<number>} Approval threshold, at least 1
+   */
+  async getApprovalThreshold(institution) {
+    return Number(await this.getContract().getApprovalThreshold(institution));
+  }
+
+  /**
+   * Sets how many signatories must approve a proposed credential of the connected institution
+   * @param {number} threshold - Approvals required, including the proposer's
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async setApprovalThreshold(threshold) {
+    const tx = await this.getContract().setApprovalThreshold(threshold);
+    return await tx.wait();
+  }
+
+  /**
+   * Fetches the proposals of an institution that are still awaiting approval
+   * @param {string} institution - Ethereum address of the institution
+   * @returns {Promise<Object[]>} Pending proposals, oldest first, with the
+   *   request fields flattened and timestamp in unix seconds
+   */
+  async getPendingProposals(institution) {
+    const contract = this.getContract();
+    const proposalIds = await contract.getInstitutionProposals(institution);
+    const proposals = await Promise.all(proposalIds.map(id => contract.getProposal(id)));
+    return proposals
+      .filter(proposal => proposal.credentialId === 0n && !proposal.isCancelled)
+      .map(proposal => ({
+        id: proposal.id.toString(),
+        proposer: proposal.proposer,
+        student: proposal.request.student,
+        certificateHash: proposal.request.certificateHash,
+        ipfsHash: proposal.request.ipfsHash,
+        metadata: proposal.request.metadata,
+        approvers: [...proposal.approvers],
+        timestamp: Number(proposal.timestamp)
+      }));
+  }
+
+  /**
+   * Approves a pending proposal as the connected signatory
+   * @param {string|number|bigint} proposalId - On-chain proposal ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction,
+   *   containing ProposalExecuted and CredentialIssued if the threshold was reached
+   */
+  async approveProposal(proposalId) {
+    const tx = await this.getContract().approveProposal(proposalId);
+    return await tx.wait();
+  }
+
+  /**
+   * Issues a pending proposal whose approvals already meet the current threshold,
+   * e.g. after the institution lowered it
+   * @param {string|number|bigint} proposalId - On-chain proposal ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt containing ProposalExecuted and CredentialIssued
+   */
+  async executeProposal(proposalId) {
+    const tx = await this.getContract().executeProposal(proposalId);
+    return await tx.wait();
+  }
+
+  /**
+   * Cancels a pending proposal as its proposer or institution
+   * @param {string|number|bigint} proposalId - On-chain proposal ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async cancelProposal(proposalId) {
+    const tx = await this.getContract().cancelProposal(proposalId);
+    return await tx.wait();
+  }
+
+  /**
+   * Fetches the signatories that approved a credential issued through a proposal
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<string[]>} Approver addresses, empty for directly issued credentials
+   */
+  async getCredentialApprovers(credentialId) {
+    const contract = this.getContract();
+    const proposalId = await contract.getCredentialProposal(credentialId);
+    if (proposalId === 0n) return [];
+    const proposal = await contract.getProposal(proposalId);
+    return [...proposal.approvers];
+  }
+
+  /**
+   * Fetches a credential record from the smart contract
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<Object>} Credential struct as returned by the contract
+   */
+  async getCredential(credentialId) {
+    return await this.getContract().getCredential(credentialId);
+  }
+
+  /**
+   * Fetches the effective status of a credential at the current block time
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<string>} One of credentialStatuses (e.g. 'valid', 'expired')
+   */
+  async getCredentialStatus(credentialId) {
+    const status = await this.getContract().getCredentialStatus(credentialId);
+    return credentialStatuses[Number(status)];
+  }
+
+  /**
+   * Fetches every version of a credential, following supersedes links back to the
+   * original issuance and supersededBy links forward to the current version
+   * @param {string|number|bigint} credentialId - On-chain ID of any version
+   * @returns {Promise<Object[]>} Credential structs, original first and current version last
+   */
+  async getAmendmentTrail(credentialId) {
+    const credential = await this.getCredential(credentialId);
+    const trail = [credential];
+    while (trail[0].supersedes !== 0n) {
+      trail.unshift(await this.getCredential(trail[0].supersedes));
+    }
+    while (trail[trail.length - 1].supersededBy !== 0n) {
+      trail.push(await this.getCredential(trail[trail.length - 1].supersededBy));
+    }
+    return trail;
+  }
+
+  /**
+   * Issues a corrected version of a credential, superseding the original
+   * @param {string|number|bigint} credentialId - On-chain ID of the credential to amend
+   * @param {Object} request - CredentialRequest struct of the corrected credential
+   * @param {string} [justificationCid=''] - IPFS CID of a document explaining the amendment
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async amendCredential(credentialId, request, justificationCid = '') {
+    const tx = await this.getContract().amendCredential(credentialId, request, justificationCid);
+    return await tx.wait();
+  }
+
+  /**
+   * Fetches the suspension, reinstatement, revocation and amendment history of a credential
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<Object[]>} Status updates, oldest first, with action and
+   *   reason decoded to strings and timestamp in unix seconds
+   */
+  async getStatusHistory(credentialId) {
+    const history = await this.getContract().getStatusHistory(credentialId);
+    return history.map(update => ({
+      action: statusActions[Number(update.action)],
+      reason: revocationReasons[Number(update.reason)],
+      justificationCid: update.justificationCid,
+      actor: update.actor,
+      timestamp: Number(update.timestamp)
+    }));
+  }
+
+  /**
+   * Checks whether students must accept credentials issued by an institution
+   * @param {string} institution - Ethereum address of the institution
+   * @returns {Promise<boolean>} Whether new credentials are offered rather than final
+   */
+  async isClaimRequired(institution) {
+    return await this.getContract().isClaimRequired(institution);
+  }
+
+  /**
+   * Sets whether students must accept credentials issued by the connected institution
+   * @param {boolean} required - Whether new credentials are offered rather than final
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async setClaimRequired(required) {
+    const tx = await this.getContract().setClaimRequired(required);
+    return await tx.wait();
+  }
+
+  /**
+   * Fetches the credentials offered to a student that await acceptance
+   * @param {string} studentAddress - Ethereum address of the student
+   * @returns {Promise<Object[]>} Credential structs with offerStatus 'offered'
+   */
+  async getOfferedCredentials(studentAddress) {
+    const credentialIds = await this.getStudentCredentials(studentAddress);
+    const credentials = await Promise.all(credentialIds.map(id => this.getCredential(id)));
+    return credentials.filter(credential => offerStatuses[Number(credential.offerStatus)] === 'offered');
+  }
+
+  /**
+   * Accepts a credential offered to the connected student wallet
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async acceptCredential(credentialId) {
+    const tx = await this.getContract().acceptCredential(credentialId);
+    return await tx.wait();
+  }
+
+  /**
+   * Declines a credential offered to the connected student wallet
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   */
+  async declineCredential(credentialId) {
+    const tx = await this.getContract().declineCredential(credentialId);
+    return await tx.wait();
+  }
+
+  /**
+   * Returns the soulbound token contract linked to the credentials contract
+   * @returns {Promise<ethers.Contract|null>} Token contract, or null if none is linked
+   */
+  async getCredentialToken() {
+    if (!this.tokenContract) {
+      const tokenAddress = await this.getContract().credentialToken();
+      if (tokenAddress === ethers.ZeroAddress) return null;
+      this.tokenContract = new ethers.Contract(tokenAddress, CredentialToken.abi, this.signer || this.provider);
+    }
+    return this.tokenContract;
+  }
+
+  /**
+   * Looks up the soulbound token minted for a credential
+   * @param {string|number|bigint} credentialId - On-chain credential ID
+   * @returns {Promise<string|null>} Token ID, or null if the credential has no token
+   */
+  async getCredentialTokenId(credentialId) {
+    const token = await this.getCredentialToken();
+    if (!token) return null;
+    try {
+      // Token IDs equal credential IDs; ownerOf reverts for unminted or burned tokens
+      await token.ownerOf(credentialId);
+      return credentialId.toString();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetches the IDs of all credentials issued to a student
+   * @param {string} studentAddress - Ethereum address of the student
+   * @returns {Promise<bigint[]>} On-chain credential IDs
+   */
+  async getStudentCredentials(studentAddress) {
+    return await this.getContract().getStudentCredentials(studentAddress);
+  }
+
+  /**
+   * Fetches a Merkle-root anchored cohort from the smart contract
+   * @param {string|number|bigint} cohortId - On-chain cohort ID
+   * @returns {Promise<Object>} Cohort struct as returned by the contract
+   */
+  async getCohort(cohortId) {
+    return await this.getContract().getCohort(cohortId);
+  }
+
+  /**
+   * Checks on-chain that a credential is included in a cohort
+   * @param {string|number|bigint} cohortId - On-chain cohort ID
+   * @param {string} studentAddress - Ethereum address of the student
+   * @param {string} certificateHash - 0x-prefixed certificate hash
+   * @param {string[]} proof - Merkle proof from the credential metadata
+   * @returns {Promise<boolean>} Whether the credential belongs to the cohort
+   */
+  async verifyCohortCredential(cohortId, studentAddress, certificateHash, proof) {
+    return await this.getContract().verifyCohortCredential(cohortId, studentAddress, certificateHash, proof);
+  }
+
+  /**
+   * Fetches the effective status of a cohort credential at the current block time
+   * @param {string|number|bigint} cohortId - On-chain cohort ID
+   * @param {string} leaf - Merkle leaf of the credential
+   * @returns {Promise<string>} One of credentialStatuses (e.g. 'valid', 'revoked')
+   */
+  async getCohortCredentialStatus(cohortId, leaf) {
+    const status = await this.getContract().getCohortCredentialStatus(cohortId, leaf);
+    return credentialStatuses[Number(status)];
+  }
+
+  /**
+   * Fetches the revocation of a single cohort credential from contract events
+   * @param {string|number|bigint} cohortId - On-chain cohort ID
+   * @param {string} leaf - Merkle leaf of the credential
+   * @returns {Promise<Object[]>} Status updates in the getStatusHistory format
+   */
+  async getCohortRevocations(cohortId, leaf) {
+    const contract = this.getContract();
+    const events = await contract.queryFilter(
+      contract.filters.CohortCredentialRevoked(cohortId, leaf),
+      this.deployment.blockNumber
+    );
+    return await Promise.all(events.map(async (event) => ({
+      action: 'revoked',
+      reason: revocationReasons[Number(event.args.reason)],
+      justificationCid: event.args.justificationCid,
+      actor: event.args.signatory,
+      timestamp: (await event.getBlock()).timestamp
+    })));
+  }
+
+  /**
+   * Finds a contract event in a transaction receipt
+   * @param {ethers.TransactionReceipt} receipt - Receipt of a mined transaction
+   * @param {string} eventName - Name of the event, e.g. 'CredentialIssued'
+   * @returns {ethers.LogDescription|null} The first matching parsed event
+   */
+  findEvent(receipt, eventName) {
+    const contract = this.getContract();
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === eventName) return parsed;
+      } catch {
+        // Log emitted by another contract, skip it
+      }
+    }
+    return null;
+  }
+
   /**
    * Returns the initialized contract instance
    * @returns {ethers.Contract} The smart contract instance
-   * @throws {Error} If contract is not initialized
+   * @throws {Error} If contract is not initialized or not deployed on the wallet's chain
    */
   getContract() {
+    if (!this.contract && this.chainId !== null) {
+      throw new Error(`The credentials contract is not deployed on chain ${this.chainId}. Please switch networks.`);
+    }
     if (!this.contract) {
       throw new Error("Contract not initialized. Please connect first.");
     }
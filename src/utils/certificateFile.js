@@ -0,0 +1,66 @@
+// Worker script for pdf.js, bundled by Vite as a separate asset
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+
+// Certificate file types accepted for upload, mapped to their download extension
+export const CERTIFICATE_FILE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'application/pdf': 'pdf'
+}
+
+/**
+ * Checks whether a MIME type is a PDF document
+ * @param {string} mimeType - MIME type of the file
+ * @returns {boolean} True for PDFs
+ */
+export const isPdf = (mimeType) => mimeType === 'application/pdf'
+
+/**
+ * Returns the extension to download a certificate file with
+ * @param {string} mimeType - MIME type of the file
+ * @returns {string} Extension without the leading dot, 'bin' for unknown types
+ */
+export const fileExtension = (mimeType) => CERTIFICATE_FILE_TYPES[mimeType] || 'bin'
+
+/**
+ * Renders the first page of a PDF to an image
+ * pdf.js is loaded on first use so it stays out of the main bundle
+ * @param {Blob} file - PDF file
+ * @param {number} [width=800] - Width of the rendered page in pixels
+ * @returns {Promise<string>} PNG data URL of the first page
+ */
+const renderPdfPreview = async (file, width = 800) => {
+  const pdfjs = await import('pdfjs-dist')
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl
+
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise
+  try {
+    const page = await pdf.getPage(1)
+    const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width })
+    const canvas = document.createElement('canvas')
+    canvas.width = viewport.width
+    canvas.height = viewport.height
+    await page.render({ canvas, viewport }).promise
+    return canvas.toDataURL('image/png')
+  } finally {
+    await pdf.destroy()
+  }
+}
+
+/**
+ * Creates a preview image of a certificate file
+ * @param {Blob} file - Image or PDF file
+ * @returns {Promise<string>} Data URL to use as an image source; the first page for PDFs
+ */
+export const createFilePreview = async (file) => {
+  if (isPdf(file.type)) {
+    return renderPdfPreview(file)
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onloadend = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
@@ -0,0 +1,71 @@
+import { CID } from 'multiformats/cid'
+
+// Multicodec codes of the CIDs content can be checked against
+const RAW_CODE = 0x55
+const DAG_PB_CODE = 0x70
+const SHA2_256_CODE = 0x12
+
+// Blockstore that discards blocks, only the root CID of an import is needed
+const discardingBlockstore = {
+  put: async (cid) => cid,
+  get: async () => { throw new Error('Blocks are not stored') },
+  has: async () => false
+}
+
+/**
+ * Computes the CID IPFS assigns to a file, using the default chunker and balanced layout
+ * of Kubo and Pinata. The UnixFS importer is loaded on first use
+ * @param {Uint8Array} bytes - File content
+ * @param {Object} [options]
+ * @param {number} [options.cidVersion=1] - 0 for Qm... CIDs, 1 for bafy.../bafk... CIDs
+ * @param {boolean} [options.rawLeaves=true] - Whether leaves are raw blocks (the CIDv1 default)
+ * @returns {Promise<CID>} Root CID of the file
+ */
+export const computeCid = async (bytes, { cidVersion = 1, rawLeaves = true } = {}) => {
+  const { importer } = await import('ipfs-unixfs-importer')
+  let root = null
+  for await (const entry of importer([{ content: bytes }], discardingBlockstore, { cidVersion, rawLeaves })) {
+    root = entry
+  }
+  return root.cid
+}
+
+/**
+ * Parses a CID and checks that content can be verified against it locally
+ * @param {string} cid - CID of the requested content
+ * @returns {CID} Parsed CID
+ * @throws {Error} If the CID is malformed or uses a codec or hash that cannot be checked
+ */
+export const parseVerifiableCid = (cid) => {
+  let parsed
+  try {
+    parsed = CID.parse(cid)
+  } catch {
+    throw new Error(`Invalid CID: ${cid}`)
+  }
+  if (parsed.multihash.code !== SHA2_256_CODE || (parsed.code !== RAW_CODE && parsed.code !== DAG_PB_CODE)) {
+    throw new Error(`Cannot verify content against CID ${cid}`)
+  }
+  return parsed
+}
+
+/**
+ * Checks that downloaded bytes are the content a CID addresses
+ * @param {string} cid - CID of the requested content (raw or dag-pb, sha2-256)
+ * @param {Uint8Array} bytes - Downloaded content
+ * @returns {Promise<boolean>} True if the bytes hash to the CID
+ * @throws {Error} If the CID cannot be verified locally
+ */
+export const verifyContent = async (cid, bytes) => {
+  const expected = parseVerifiableCid(cid)
+
+  // CIDv0 never uses raw leaves; CIDv1 files usually do, but ipfs add --raw-leaves=false exists
+  const layouts = expected.version === 0 ? [false]
+    : expected.code === RAW_CODE ? [true]
+    : [true, false]
+  for (const rawLeaves of layouts) {
+    const actual = await computeCid(bytes, { cidVersion: expected.version, rawLeaves })
+    if (actual.equals(expected)) return true
+  }
+  return false
+}
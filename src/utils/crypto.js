@@ -32,3 +32,157 @@ export const verifyCredentialHash = async (hash, data) => {
   // Compare original hash with generated hash
   return hash === generatedHash
 }
+
+/**
+ * Generates the SHA-256 certificate hash that is recorded on-chain at issuance
+ * @param {Object} metadata - Credential metadata exactly as uploaded to IPFS
+ * @returns {Promise<string>} 0x-prefixed hex digest of the serialized metadata
+ */
+export const hashCertificateMetadata = async (metadata) => {
+  // Hash the same JSON serialization that is pinned to IPFS
+  const data = new TextEncoder().encode(JSON.stringify(metadata))
+  const digest = await window.crypto.subtle.digest('SHA-256', data)
+  // Convert digest bytes to a bytes32-compatible hex string
+  return '0x' + Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+// Message a student signs to derive their certificate encryption key
+// Wallet signatures are deterministic, so the same wallet derives the same key on any device
+const ENCRYPTION_KEY_MESSAGE = 'Academic Credentials certificate encryption key v1'
+
+/**
+ * Derives a student's certificate encryption key from a wallet signature
+ * @param {ethers.Signer} signer - Signer of the student's wallet
+ * @returns {Promise<ethers.SigningKey>} secp256k1 key; its compressedPublicKey is published for issuers
+ */
+export const deriveEncryptionKey = async (signer) => {
+  const signature = await signer.signMessage(ENCRYPTION_KEY_MESSAGE)
+  return new ethers.SigningKey(ethers.keccak256(signature))
+}
+
+// Message a student signs to vouch that a published encryption public key belongs to their wallet
+const encryptionKeyProofMessage = (publicKey) =>
+  `Academic Credentials certificate encryption public key: ${publicKey}`
+
+/**
+ * Signs a student's encryption public key with their wallet, so issuers can tell it was
+ * published by the wallet and not by whoever controls the student document
+ * @param {ethers.Signer} signer - Signer of the student's wallet
+ * @param {string} publicKey - compressedPublicKey of the key returned by deriveEncryptionKey
+ * @returns {Promise<string>} Wallet signature to store next to the public key
+ */
+export const signEncryptionKey = async (signer, publicKey) => {
+  return signer.signMessage(encryptionKeyProofMessage(publicKey))
+}
+
+/**
+ * Checks that an encryption public key was signed by the given wallet
+ * @param {string} publicKey - Published encryption public key
+ * @param {string} signature - Signature returned by signEncryptionKey
+ * @param {string} address - Wallet address the key should belong to
+ * @returns {boolean} True if the wallet signed the key
+ */
+export const verifyEncryptionKey = (publicKey, signature, address) => {
+  try {
+    const signer = ethers.verifyMessage(encryptionKeyProofMessage(publicKey), signature)
+    return signer.toLowerCase() === address.toLowerCase()
+  } catch {
+    // Malformed signatures cannot vouch for anything
+    return false
+  }
+}
+
+/**
+ * Message a student signs to prove they control a wallet, exchanged by /api/wallet-claim
+ * for a walletAddress claim on their Firebase account
+ * @param {string} uid - Firebase user ID the wallet is linked to
+ * @param {string} address - Wallet address
+ * @param {number} issuedAt - Time of signing in milliseconds, limits how long the proof can be replayed
+ * @returns {string} Message to sign
+ */
+export const walletProofMessage = (uid, address, issuedAt) =>
+  `Link wallet ${address.toLowerCase()} to Academic Credentials account ${uid} at ${issuedAt}`
+
+/**
+ * Derives the AES-GCM key that wraps a content key from an ECDH shared secret
+ * @param {ethers.SigningKey} privateKey - Own secp256k1 key
+ * @param {string} publicKey - Other party's secp256k1 public key
+ * @returns {Promise<CryptoKey>} AES-GCM key encryption key
+ */
+const deriveWrappingKey = async (privateKey, publicKey) => {
+  const sharedSecret = ethers.getBytes(privateKey.computeSharedSecret(publicKey))
+  const digest = await window.crypto.subtle.digest('SHA-256', sharedSecret)
+  return window.crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt'])
+}
+
+/**
+ * Encrypts a certificate file with a fresh AES-GCM content key wrapped for the student
+ * @param {File} file - Certificate file to encrypt
+ * @param {string} recipientPublicKey - Student's published encryption public key
+ * @returns {Promise<{ blob: Blob, envelope: Object }>} Ciphertext to pin, and the envelope
+ *   { algorithm, iv, mimeType, ephemeralPublicKey, wrapIv, wrappedKey } to store in the metadata
+ */
+export const encryptFile = async (file, recipientPublicKey) => {
+  const contentKey = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt'])
+  const iv = window.crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, contentKey, await file.arrayBuffer())
+
+  // Wrap the content key with an ECDH secret between a one-off key and the student's key
+  const ephemeralKey = new ethers.SigningKey(ethers.randomBytes(32))
+  const wrappingKey = await deriveWrappingKey(ephemeralKey, recipientPublicKey)
+  const wrapIv = window.crypto.getRandomValues(new Uint8Array(12))
+  const rawKey = await window.crypto.subtle.exportKey('raw', contentKey)
+  const wrappedKey = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: wrapIv }, wrappingKey, rawKey)
+
+  return {
+    blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+    envelope: {
+      algorithm: 'AES-GCM',
+      iv: ethers.hexlify(iv),
+      mimeType: file.type,
+      ephemeralPublicKey: ephemeralKey.compressedPublicKey,
+      wrapIv: ethers.hexlify(wrapIv),
+      wrappedKey: ethers.hexlify(new Uint8Array(wrappedKey))
+    }
+  }
+}
+
+/**
+ * Recovers the content key of an encrypted certificate with the student's key
+ * @param {Object} envelope - Encryption envelope from the credential metadata
+ * @param {ethers.SigningKey} encryptionKey - Key returned by deriveEncryptionKey
+ * @returns {Promise<string>} 0x-prefixed raw content key, suitable for a share link
+ */
+export const unwrapContentKey = async (envelope, encryptionKey) => {
+  const wrappingKey = await deriveWrappingKey(encryptionKey, envelope.ephemeralPublicKey)
+  const rawKey = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(envelope.wrapIv) },
+    wrappingKey,
+    ethers.getBytes(envelope.wrappedKey)
+  )
+  return ethers.hexlify(new Uint8Array(rawKey))
+}
+
+/**
+ * Decrypts an encrypted certificate file
+ * @param {ArrayBuffer} ciphertext - Encrypted file as pinned to IPFS
+ * @param {Object} envelope - Encryption envelope from the credential metadata
+ * @param {string} contentKey - 0x-prefixed raw content key
+ * @returns {Promise<Blob>} Decrypted file with its original MIME type
+ * @throws {Error} If the key is wrong or the file was altered
+ */
+export const decryptFile = async (ciphertext, envelope, contentKey) => {
+  const key = await window.crypto.subtle.importKey('raw', ethers.getBytes(contentKey), 'AES-GCM', false, ['decrypt'])
+  try {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: ethers.getBytes(envelope.iv) },
+      key,
+      ciphertext
+    )
+    return new Blob([plaintext], { type: envelope.mimeType })
+  } catch {
+    throw new Error('Could not decrypt the certificate file, the key is wrong or the file was altered')
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Parses CSV text into rows of fields
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Rows of trimmed fields, blank lines removed
+ */
+export const parseCSV = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        // Escaped quote inside a quoted field
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field.trim())
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field.trim())
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  // Flush the last row when the file has no trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field.trim())
+    rows.push(row)
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''))
+}
+
+/**
+ * Serializes rows of fields into CSV text
+ * @param {Array<Array<string|number>>} rows - Rows of fields
+ * @returns {string} CSV content with quoted fields where needed
+ */
+export const toCSV = (rows) => rows
+  .map(fields => fields
+    .map(value => {
+      const text = value === null || value === undefined ? '' : String(value)
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    })
+    .join(','))
+  .join('\n')
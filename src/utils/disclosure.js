@@ -0,0 +1,110 @@
+// Fields an institution can commit to instead of publishing them in the metadata
+// The student wallet stays public, it is recorded on-chain with the credential anyway
+export const DISCLOSABLE_FIELDS = [
+  'studentName',
+  'credentialType',
+  'institution',
+  'issueDate',
+  'validFrom',
+  'validUntil'
+]
+
+// Version of the commitment and presentation format
+const DISCLOSURE_VERSION = 1
+
+/**
+ * Generates a random 128-bit salt
+ * @returns {string} Hex-encoded salt
+ */
+const generateSalt = () => Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('')
+
+/**
+ * Computes the salted commitment to one metadata field
+ * @param {string} field - Field name, e.g. 'studentName'
+ * @param {string} value - Field value
+ * @param {string} salt - Hex-encoded salt
+ * @returns {Promise<string>} 0x-prefixed SHA-256 digest
+ */
+export const commitField = async (field, value, salt) => {
+  const data = new TextEncoder().encode(JSON.stringify([salt, field, value]))
+  const digest = await window.crypto.subtle.digest('SHA-256', data)
+  return '0x' + Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * Commits to every disclosable field that has a value
+ * @param {Object} metadata - Credential metadata with plaintext fields
+ * @returns {Promise<{ disclosure: Object, values: Object, salts: Object }>} disclosure is the
+ *   { version, commitments } block to pin; values and salts go privately to the student
+ */
+export const createCommitments = async (metadata) => {
+  const values = {}
+  const salts = {}
+  const commitments = {}
+  for (const field of DISCLOSABLE_FIELDS) {
+    if (metadata[field] === null || metadata[field] === undefined) continue
+    values[field] = metadata[field]
+    salts[field] = generateSalt()
+    commitments[field] = await commitField(field, values[field], salts[field])
+  }
+  return { disclosure: { version: DISCLOSURE_VERSION, commitments }, values, salts }
+}
+
+/**
+ * Builds a presentation revealing only the chosen fields
+ * @param {string} credentialId - Short ID of the credential document
+ * @param {Object} values - Field values received from the institution
+ * @param {Object} salts - Field salts received from the institution
+ * @param {string[]} fields - Fields to reveal
+ * @returns {string} Base64url-encoded presentation to share with a verifier
+ */
+export const createPresentation = (credentialId, values, salts, fields) => {
+  const presentation = {
+    version: DISCLOSURE_VERSION,
+    credentialId,
+    fields: Object.fromEntries(fields.map(field => [field, { value: values[field], salt: salts[field] }]))
+  }
+  const bytes = new TextEncoder().encode(JSON.stringify(presentation))
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Decodes a presentation created by createPresentation
+ * @param {string} encoded - Base64url-encoded presentation
+ * @returns {{ version: number, credentialId: string, fields: Object }} Decoded presentation
+ * @throws {Error} If the presentation is malformed
+ */
+export const decodePresentation = (encoded) => {
+  try {
+    const base64 = encoded.trim().replace(/-/g, '+').replace(/_/g, '/')
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+    const presentation = JSON.parse(new TextDecoder().decode(bytes))
+    if (presentation.version !== DISCLOSURE_VERSION || !presentation.credentialId || !presentation.fields) {
+      throw new Error('Unsupported presentation')
+    }
+    return presentation
+  } catch {
+    throw new Error('Invalid presentation. Please check the shared code and try again.')
+  }
+}
+
+/**
+ * Checks the revealed fields of a presentation against the pinned commitments
+ * @param {Object} commitments - Field commitments from the credential metadata
+ * @param {Object} fields - Revealed { value, salt } per field
+ * @returns {Promise<Object[]>} [{ field, value, valid }], one entry per revealed field
+ */
+export const verifyDisclosedFields = async (commitments, fields) => {
+  return await Promise.all(Object.entries(fields).map(async ([field, { value, salt }]) => ({
+    field,
+    value,
+    valid: !!commitments[field] && await commitField(field, value, salt) === commitments[field]
+  })))
+}
@@ -0,0 +1,72 @@
+// Import ethers library for hashing and ABI encoding
+import { ethers } from 'ethers'
+
+/**
+ * Computes the Merkle leaf of a cohort credential
+ * Mirrors AcademicCredentials.cohortLeaf (double-hashed ABI encoding)
+ * @param {string} studentAddress - Ethereum address of the student
+ * @param {string} certificateHash - 0x-prefixed certificate hash
+ * @returns {string} 0x-prefixed leaf hash
+ */
+export const cohortLeaf = (studentAddress, certificateHash) => {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'bytes32'],
+    [studentAddress, certificateHash]
+  )
+  return ethers.keccak256(ethers.keccak256(encoded))
+}
+
+/**
+ * Hashes a pair of nodes in sorted order, matching MerkleProof._hashPair
+ * @param {string} a - 0x-prefixed node hash
+ * @param {string} b - 0x-prefixed node hash
+ * @returns {string} 0x-prefixed parent hash
+ */
+const hashPair = (a, b) => {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]
+  return ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [first, second])
+}
+
+/**
+ * Builds a Merkle tree over cohort leaves
+ * An odd node at the end of a level is promoted to the next level unchanged
+ * @param {string[]} leaves - Leaf hashes, in cohort order
+ * @returns {{ root: string, proofs: string[][] }} Root and a proof per leaf
+ */
+export const buildMerkleTree = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves')
+  }
+
+  const proofs = leaves.map(() => [])
+  let positions = leaves.map((_, index) => index)
+  let level = [...leaves]
+
+  while (level.length > 1) {
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i])
+    }
+    // Record each leaf's sibling at this level, then move up one level
+    positions = positions.map((position, leafIndex) => {
+      const sibling = position ^ 1
+      if (sibling < level.length) proofs[leafIndex].push(level[sibling])
+      return position >> 1
+    })
+    level = next
+  }
+
+  return { root: level[0], proofs }
+}
+
+/**
+ * Verifies a Merkle proof against a root
+ * @param {string} root - 0x-prefixed Merkle root
+ * @param {string} leaf - 0x-prefixed leaf hash
+ * @param {string[]} proof - Sibling hashes from leaf to root
+ * @returns {boolean} True if the proof leads from the leaf to the root
+ */
+export const verifyMerkleProof = (root, leaf, proof) => {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf)
+  return computed.toLowerCase() === root.toLowerCase()
+}
@@ -0,0 +1,68 @@
+// IndexedDB database and object store holding verified credential metadata
+// Content behind a CID never changes, so entries never expire
+const DB_NAME = 'academic-credentials'
+const STORE_NAME = 'metadata'
+
+// Shared connection, opened on first use
+let databasePromise = null
+
+/**
+ * Opens the metadata cache database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call retry if opening failed, e.g. in a private window
+    databasePromise.catch(() => { databasePromise = null })
+  }
+  return databasePromise
+}
+
+/**
+ * Runs a single request against the metadata store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const runRequest = async (mode, makeRequest) => {
+  const database = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Looks up metadata previously cached for a CID
+ * The cache is best effort: failures are logged and treated as a miss
+ * @param {string} cid - IPFS CID of the metadata
+ * @returns {Promise<Object|null>} Cached metadata JSON, or null
+ */
+export const getCachedMetadata = async (cid) => {
+  try {
+    return (await runRequest('readonly', store => store.get(cid))) ?? null
+  } catch (error) {
+    console.warn('Metadata cache read failed:', error)
+    return null
+  }
+}
+
+/**
+ * Caches metadata that was verified against its CID
+ * @param {string} cid - IPFS CID of the metadata
+ * @param {Object} metadata - Metadata JSON exactly as pinned
+ */
+export const cacheMetadata = async (cid, metadata) => {
+  try {
+    await runRequest('readwrite', store => store.put(metadata, cid))
+  } catch (error) {
+    console.warn('Metadata cache write failed:', error)
+  }
+}
@@ -4,6 +4,30 @@ export const userTypes = {
   INSTITUTE: 'institute'
 };
 
+// Effective credential statuses, indexed in AcademicCredentials.CredentialStatus order
+export const credentialStatuses = [
+  'valid', 'not-yet-valid', 'expired', 'revoked', 'suspended', 'offered', 'declined', 'superseded'
+];
+
+// Student acceptance of a credential, indexed in AcademicCredentials.OfferStatus order
+export const offerStatuses = ['accepted', 'offered', 'declined'];
+
+// Status change actions, indexed in AcademicCredentials.StatusAction order
+export const statusActions = ['suspended', 'reinstated', 'revoked', 'superseded'];
+
+// Suspension and revocation reason labels, indexed in AcademicCredentials.RevocationReason order
+export const revocationReasons = [
+  'Unspecified',
+  'Academic misconduct',
+  'Issued in error',
+  'Superseded',
+  'Fraudulent',
+  'Other'
+];
+
+// Roles an institution can grant to staff wallets, indexed in AcademicCredentials.SignatoryRole order
+export const signatoryRoles = ['issuer', 'revoker'];
+
 // Define Firestore collection names for data organization
 export const collections = {
   USERS: 'users',          // General user information
@@ -40,7 +64,7 @@ export const instituteSchema = {
   address: '',         // Physical address
   website: '',         // Official website URL
   accreditationNumber: '', // Official accreditation ID
-  authorizedSignatories: [], // List of emails authorized to issue credentials
+  authorizedSignatories: [], // Staff wallets holding on-chain signatory roles
   issuedCredentials: [], // List of credentials issued by institution
   createdAt: '',      // Timestamp of profile creation
   updatedAt: ''       // Timestamp of last profile update
@@ -0,0 +1,278 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/manifest.cjs");
+
+// Name under which errors of these tasks are reported
+const PLUGIN_NAME = "admin-tasks";
+
+// Effective credential statuses, indexed in AcademicCredentials.CredentialStatus order
+const CREDENTIAL_STATUSES = [
+  "valid", "not-yet-valid", "expired", "revoked", "suspended", "offered", "declined", "superseded"
+];
+
+// Revocation reasons accepted by --reason, indexed in AcademicCredentials.RevocationReason order
+const REVOCATION_REASONS = [
+  "unspecified", "academic-misconduct", "issued-in-error", "superseded", "fraudulent", "other"
+];
+
+/**
+ * Attaches to the AcademicCredentials contract recorded in the deployment manifest for the selected network
+ * @param {Object} hre - Hardhat runtime environment
+ * @returns {Promise<Object>} Contract connected to the network's first account
+ * @throws {HardhatPluginError} If nothing is deployed on the network's chain
+ */
+async function getCredentialsContract(hre) {
+  // The in-process network starts empty on every run and shares its chain ID with Ganache
+  if (hre.network.name === "hardhat") {
+    throw new HardhatPluginError(PLUGIN_NAME, "Nothing is deployed on the in-process Hardhat network, pass --network");
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = readManifest()[chainId]?.contracts?.AcademicCredentials;
+  if (!deployment) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `No AcademicCredentials deployment is recorded for chain ${chainId} in deployments.json, run scripts/deploy.cjs first`
+    );
+  }
+  const [signer] = await hre.ethers.getSigners();
+  console.log(`AcademicCredentials at ${deployment.address} on ${hre.network.name} (chain ${chainId}), sending from ${signer.address}`);
+  return hre.ethers.getContractAt("AcademicCredentials", deployment.address, signer);
+}
+
+/**
+ * Runs a contract call, reporting a revert by its reason instead of a stack trace
+ * @param {string} method - Contract function name, for the error message
+ * @param {Function} action - Performs the call
+ * @returns {Promise<*>} Result of the call
+ * @throws {HardhatPluginError} If the contract reverts, with its reason
+ */
+async function withRevertReason(method, action) {
+  try {
+    return await action();
+  } catch (error) {
+    // ethers decodes the reason on most providers, Hardhat and Ganache nodes only put it in the message
+    const reason = error.reason
+      ?? error.message?.match(/reverted with reason string '(.*)'|revert (.*)$/)?.slice(1).find(Boolean);
+    if (reason) {
+      throw new HardhatPluginError(PLUGIN_NAME, `${method} reverted: ${reason}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sends a contract transaction, or only estimates its gas on a dry run
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} contract - Contract to call
+ * @param {string} method - Contract function name
+ * @param {Array} args - Function arguments
+ * @param {boolean} dryRun - Whether to estimate gas instead of sending
+ * @returns {Promise<Object|null>} Receipt of the mined transaction, null on a dry run
+ */
+async function execute(hre, contract, method, args, dryRun) {
+  return withRevertReason(method, async () => {
+    // Simulate first, so a transaction that would revert is reported with its reason and never sent
+    await contract[method].staticCall(...args);
+    if (dryRun) {
+      const gas = await contract[method].estimateGas(...args);
+      const { gasPrice } = await hre.ethers.provider.getFeeData();
+      const cost = gasPrice ? ` (about ${hre.ethers.formatEther(gas * gasPrice)} ETH at the current gas price)` : "";
+      console.log(`Dry run: ${method} would use ${gas} gas${cost}, nothing was sent`);
+      return null;
+    }
+    const tx = await contract[method](...args);
+    console.log(`Sent ${method} in transaction ${tx.hash}, waiting for confirmation...`);
+    const receipt = await tx.wait();
+    console.log(`Confirmed in block ${receipt.blockNumber}, ${receipt.gasUsed} gas used`);
+    return receipt;
+  });
+}
+
+/**
+ * Checks an address given on the command line
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {string} value - Address to check
+ * @param {string} name - Parameter name, for the error message
+ * @throws {HardhatPluginError} If the value is not an address
+ */
+function checkAddress(hre, value, name) {
+  if (!hre.ethers.isAddress(value)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `--${name} must be an address, got ${value}`);
+  }
+}
+
+/**
+ * Parses a date given on the command line
+ * @param {string} value - Unix timestamp in seconds, or any date Date.parse understands
+ * @param {string} name - Parameter name, for the error message
+ * @returns {bigint} Unix timestamp in seconds, 0 when empty
+ * @throws {HardhatPluginError} If the value is not a date
+ */
+function parseTimestamp(value, name) {
+  if (!value) return 0n;
+  if (/^\d+$/.test(value)) return BigInt(value);
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `--${name} must be a unix timestamp or a date, got ${value}`);
+  }
+  return BigInt(Math.floor(millis / 1000));
+}
+
+/**
+ * Formats an on-chain unix timestamp (seconds) as an ISO date
+ * @param {bigint} seconds - Timestamp, 0 meaning unset
+ * @param {string} unset - Text shown for 0
+ * @returns {string} Formatted date
+ */
+function formatTimestamp(seconds, unset) {
+  return seconds === 0n ? unset : new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Prints a credential with its effective status and issuing institution
+ * @param {Object} contract - AcademicCredentials contract
+ * @param {bigint|string} credentialId - On-chain credential ID
+ */
+async function printCredential(contract, credentialId) {
+  const credential = await withRevertReason("getCredential", () => contract.getCredential(credentialId));
+  const status = CREDENTIAL_STATUSES[Number(await contract.getCredentialStatus(credentialId))];
+  const profile = await contract.getInstitutionProfile(credential.institution);
+
+  const rows = [
+    ["Status", status],
+    ["Student", credential.student],
+    ["Institution", profile.name ? `${profile.name} (${credential.institution})` : credential.institution],
+    ["Signed by", credential.issuedBy],
+    ["Issued at", formatTimestamp(credential.timestamp)],
+    ["Valid from", formatTimestamp(credential.validFrom, "issuance")],
+    ["Valid until", formatTimestamp(credential.validUntil, "does not expire")],
+    ["Certificate hash", credential.certificateHash],
+    ["Certificate CID", credential.ipfsHash],
+    ["Metadata CID", credential.metadata],
+    ...(credential.supersedes !== 0n ? [["Amends", `#${credential.supersedes}`]] : []),
+    ...(credential.supersededBy !== 0n ? [["Amended by", `#${credential.supersededBy}`]] : [])
+  ];
+  console.log(`\nCredential #${credential.id}`);
+  for (const [label, value] of rows) {
+    console.log(`  ${`${label}:`.padEnd(18)}${value}`);
+  }
+}
+
+task("register-institution", "Registers an institution with its registry profile")
+  .addParam("address", "Wallet address of the institution")
+  .addParam("name", "Legal name of the institution")
+  .addOptionalParam("country", "ISO 3166-1 alpha-2 country code", "")
+  .addOptionalParam("accreditation", "Accreditation or registration number", "")
+  .addOptionalParam("website", "Official website", "")
+  .addOptionalParam("profileCid", "IPFS CID of the full profile document", "")
+  .addFlag("dryRun", "Only estimate the gas the transaction would use")
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.address, "address");
+    const contract = await getCredentialsContract(hre);
+    const receipt = await execute(hre, contract, "registerInstitution", [args.address, {
+      name: args.name,
+      country: args.country,
+      accreditationNumber: args.accreditation,
+      website: args.website,
+      profileCid: args.profileCid
+    }], args.dryRun);
+    if (receipt) console.log(`${args.name} (${args.address}) is now a registered institution`);
+  });
+
+task("remove-institution", "Removes a registered institution, its earlier credentials stay valid")
+  .addParam("address", "Wallet address of the institution")
+  .addFlag("dryRun", "Only estimate the gas the transaction would use")
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.address, "address");
+    const contract = await getCredentialsContract(hre);
+    const receipt = await execute(hre, contract, "removeInstitution", [args.address], args.dryRun);
+    if (receipt) console.log(`${args.address} is no longer a registered institution`);
+  });
+
+task("issue", "Issues a credential from the sending institution or signatory")
+  .addParam("student", "Wallet address of the student")
+  .addParam("certificateHash", "0x-prefixed hash of the credential metadata")
+  .addParam("ipfsHash", "IPFS CID of the certificate file")
+  .addParam("metadata", "IPFS CID of the credential metadata")
+  .addOptionalParam("validFrom", "Start of the validity window, unix seconds or a date", "")
+  .addOptionalParam("validUntil", "End of the validity window, unix seconds or a date", "")
+  .addFlag("dryRun", "Only estimate the gas the transaction would use")
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.student, "student");
+    if (!hre.ethers.isHexString(args.certificateHash, 32)) {
+      throw new HardhatPluginError(PLUGIN_NAME, "--certificate-hash must be a 0x-prefixed 32-byte hash");
+    }
+    const contract = await getCredentialsContract(hre);
+    const receipt = await execute(hre, contract, "issueCredential", [
+      args.student,
+      args.certificateHash,
+      args.ipfsHash,
+      args.metadata,
+      parseTimestamp(args.validFrom, "valid-from"),
+      parseTimestamp(args.validUntil, "valid-until")
+    ], args.dryRun);
+    if (!receipt) return;
+
+    const issued = receipt.logs
+      .map(log => { try { return contract.interface.parseLog(log); } catch { return null; } })
+      .find(event => event?.name === "CredentialIssued");
+    if (issued) await printCredential(contract, issued.args.credentialId);
+  });
+
+task("revoke", "Revokes a credential of the sending institution")
+  .addParam("id", "On-chain credential ID", undefined, types.string)
+  .addOptionalParam("reason", `One of ${REVOCATION_REASONS.join(", ")}`, "unspecified")
+  .addOptionalParam("justification", "IPFS CID of a document justifying the revocation", "")
+  .addFlag("dryRun", "Only estimate the gas the transaction would use")
+  .setAction(async (args, hre) => {
+    const reason = REVOCATION_REASONS.indexOf(args.reason);
+    if (reason === -1) {
+      throw new HardhatPluginError(PLUGIN_NAME, `--reason must be one of ${REVOCATION_REASONS.join(", ")}`);
+    }
+    const contract = await getCredentialsContract(hre);
+    const receipt = await execute(hre, contract, "revokeCredential", [args.id, reason, args.justification], args.dryRun);
+    if (receipt) await printCredential(contract, args.id);
+  });
+
+task("get-credential", "Shows a credential and its effective status")
+  .addParam("id", "On-chain credential ID", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const contract = await getCredentialsContract(hre);
+    await printCredential(contract, args.id);
+  });
+
+task("list-student", "Lists the credentials issued to a student")
+  .addParam("student", "Wallet address of the student")
+  .setAction(async (args, hre) => {
+    checkAddress(hre, args.student, "student");
+    const contract = await getCredentialsContract(hre);
+    const ids = await contract.getStudentCredentials(args.student);
+    if (ids.length === 0) {
+      console.log(`\nNo credentials issued to ${args.student}`);
+      return;
+    }
+
+    console.log(`\n${ids.length} credential(s) issued to ${args.student}:`);
+    for (const id of ids) {
+      const credential = await contract.getCredential(id);
+      const status = CREDENTIAL_STATUSES[Number(await contract.getCredentialStatus(id))];
+      const { name } = await contract.getInstitutionProfile(credential.institution);
+      console.log(`  #${id}  ${status.padEnd(13)}  ${formatTimestamp(credential.timestamp).slice(0, 10)}  ${name || credential.institution}  ${credential.metadata}`);
+    }
+  });
+
+task("pause", "Pauses credential issuance on the contract")
+  .addFlag("dryRun", "Only estimate the gas the transaction would use")
+  .setAction(async (args, hre) => {
+    const contract = await getCredentialsContract(hre);
+    const receipt = await execute(hre, contract, "pause", [], args.dryRun);
+    if (receipt) console.log("Contract paused");
+  });
+
+task("unpause", "Resumes credential issuance on the contract")
+  .addFlag("dryRun", "Only estimate the gas the transaction would use")
+  .setAction(async (args, hre) => {
+    const contract = await getCredentialsContract(hre);
+    const receipt = await execute(hre, contract, "unpause", [], args.dryRun);
+    if (receipt) console.log("Contract unpaused");
+  });
@@ -0,0 +1,1134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Returns the ID of the credential issued in a transaction receipt
+function getIssuedCredentialId(contract, receipt) {
+  const event = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "CredentialIssued");
+  return event.args.credentialId;
+}
+
+// Computes a cohort leaf the same way as AcademicCredentials.cohortLeaf
+function cohortLeaf(student, certificateHash) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [student, certificateHash]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+// Hashes a sorted pair of nodes, matching MerkleProof._hashPair
+function hashPair(a, b) {
+  return a < b ? ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [a, b])
+    : ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [b, a]);
+}
+
+// Builds a Merkle tree and returns its root and a proof for every leaf
+function buildMerkleTree(leaves) {
+  const proofs = leaves.map(() => []);
+  let positions = leaves.map((_, index) => index);
+  let level = [...leaves];
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    positions = positions.map((position, leafIndex) => {
+      const sibling = position ^ 1;
+      if (sibling < level.length) proofs[leafIndex].push(level[sibling]);
+      return position >> 1;
+    });
+    level = next;
+  }
+  return { root: level[0], proofs };
+}
+
+// Registry profile used when registering institutions
+const institutionProfile = {
+  name: "Example University",
+  country: "IN",
+  accreditationNumber: "NAAC-0001",
+  website: "https://example.edu",
+  profileCid: "QmProfile123"
+};
+
+describe("AcademicCredentials", function () {
+  let AcademicCredentials;
+  let academicCredentials;
+  let owner;
+  let institution;
+  let student;
+  let otherAccount;
+
+  beforeEach(async function () {
+    // Get signers
+    [owner, institution, student, otherAccount] = await ethers.getSigners();
+
+    // Deploy contract
+    AcademicCredentials = await ethers.getContractFactory("AcademicCredentials");
+    academicCredentials = await AcademicCredentials.deploy();
+    await academicCredentials.waitForDeployment();
+  });
+
+  describe("Institution Management", function () {
+    it("Should register an institution", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      expect(await academicCredentials.isInstitution(institution.address)).to.be.true;
+    });
+
+    it("Should remove an institution", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.removeInstitution(institution.address);
+      expect(await academicCredentials.isInstitution(institution.address)).to.be.false;
+    });
+
+    it("Should only allow the owner or an accreditor to register institutions", async function () {
+      await expect(
+        academicCredentials.connect(otherAccount).registerInstitution(institution.address, institutionProfile)
+      ).to.be.revertedWith("Not an accreditor for the country");
+    });
+
+    it("Should store the registry profile", async function () {
+      await expect(academicCredentials.registerInstitution(institution.address, institutionProfile))
+        .to.emit(academicCredentials, "InstitutionProfileUpdated")
+        .withArgs(institution.address, "Example University", "QmProfile123");
+
+      const profile = await academicCredentials.getInstitutionProfile(institution.address);
+      expect(profile.name).to.equal("Example University");
+      expect(profile.country).to.equal("IN");
+      expect(profile.accreditationNumber).to.equal("NAAC-0001");
+      expect(profile.website).to.equal("https://example.edu");
+      expect(profile.profileCid).to.equal("QmProfile123");
+    });
+
+    it("Should let the owner update a profile and keep it after removal", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      const renamed = { ...institutionProfile, name: "Example Technical University" };
+      await expect(
+        academicCredentials.connect(institution).updateInstitutionProfile(institution.address, renamed)
+      ).to.be.revertedWith("Not an accreditor for the country");
+
+      await academicCredentials.updateInstitutionProfile(institution.address, renamed);
+      await academicCredentials.removeInstitution(institution.address);
+      expect((await academicCredentials.getInstitutionProfile(institution.address)).name)
+        .to.equal("Example Technical University");
+      await expect(
+        academicCredentials.updateInstitutionProfile(institution.address, renamed)
+      ).to.be.revertedWith("Institution not registered");
+    });
+
+    it("Should require an institution name", async function () {
+      await expect(
+        academicCredentials.registerInstitution(institution.address, { ...institutionProfile, name: "" })
+      ).to.be.revertedWith("Institution name required");
+    });
+  });
+
+  describe("Accreditors", function () {
+    let accreditor;
+
+    beforeEach(async function () {
+      [, , , , , , accreditor] = await ethers.getSigners();
+      await academicCredentials.appointAccreditor(accreditor.address, "IN");
+    });
+
+    it("Should let an accreditor register institutions in its jurisdiction", async function () {
+      await expect(academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile))
+        .to.emit(academicCredentials, "InstitutionRegistered")
+        .withArgs(institution.address, accreditor.address);
+      expect(await academicCredentials.isInstitution(institution.address)).to.be.true;
+      expect(await academicCredentials.getAccreditorJurisdiction(accreditor.address)).to.equal("IN");
+
+      await expect(
+        academicCredentials.connect(accreditor).registerInstitution(otherAccount.address, { ...institutionProfile, country: "DE" })
+      ).to.be.revertedWith("Not an accreditor for the country");
+    });
+
+    it("Should only allow the owner to appoint accreditors", async function () {
+      await expect(
+        academicCredentials.connect(accreditor).appointAccreditor(otherAccount.address, "IN")
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should return the accreditation chain", async function () {
+      await academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.registerInstitution(otherAccount.address, { ...institutionProfile, country: "DE" });
+
+      expect(await academicCredentials.getAccreditationChain(institution.address))
+        .to.deep.equal([owner.address, accreditor.address, institution.address]);
+      expect(await academicCredentials.getAccreditationChain(otherAccount.address))
+        .to.deep.equal([owner.address, otherAccount.address]);
+      expect(await academicCredentials.getAccreditationChain(student.address)).to.deep.equal([]);
+    });
+
+    it("Should let an accreditor suspend and reinstate institutions in its jurisdiction", async function () {
+      await academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.registerInstitution(otherAccount.address, { ...institutionProfile, country: "DE" });
+
+      await expect(academicCredentials.connect(accreditor).suspendInstitution(institution.address))
+        .to.emit(academicCredentials, "InstitutionSuspended")
+        .withArgs(institution.address, accreditor.address);
+      expect(await academicCredentials.isInstitution(institution.address)).to.be.false;
+      await expect(
+        academicCredentials.connect(institution).issueCredential(student.address, ethers.ZeroHash, "QmTest123", "{}", 0, 0)
+      ).to.be.revertedWith("Not an authorized signatory");
+      await expect(
+        academicCredentials.connect(accreditor).suspendInstitution(otherAccount.address)
+      ).to.be.revertedWith("Not an accreditor for the country");
+
+      await academicCredentials.connect(accreditor).reinstateInstitution(institution.address);
+      expect(await academicCredentials.isInstitution(institution.address)).to.be.true;
+    });
+
+    it("Should not let a removed accreditor register institutions", async function () {
+      await academicCredentials.removeAccreditor(accreditor.address);
+      await expect(
+        academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile)
+      ).to.be.revertedWith("Not an accreditor for the country");
+    });
+
+    it("Should leave a removed accreditor in the chain without a jurisdiction", async function () {
+      await academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile);
+      await expect(academicCredentials.removeAccreditor(accreditor.address))
+        .to.emit(academicCredentials, "AccreditorRemoved")
+        .withArgs(accreditor.address);
+
+      // Verifiers tell revoked links apart by their empty jurisdiction
+      expect(await academicCredentials.getAccreditationChain(institution.address))
+        .to.deep.equal([owner.address, accreditor.address, institution.address]);
+      expect(await academicCredentials.getAccreditorJurisdiction(accreditor.address)).to.equal("");
+      expect(await academicCredentials.isInstitution(institution.address)).to.be.true;
+    });
+
+    it("Should keep owner-registered institutions directly under the new owner", async function () {
+      await academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.registerInstitution(otherAccount.address, { ...institutionProfile, country: "DE" });
+      await academicCredentials.transferOwnership(student.address);
+
+      expect(await academicCredentials.getAccreditationChain(otherAccount.address))
+        .to.deep.equal([student.address, otherAccount.address]);
+      expect(await academicCredentials.getAccreditationChain(institution.address))
+        .to.deep.equal([student.address, accreditor.address, institution.address]);
+    });
+
+    it("Should not reinstate a removed institution", async function () {
+      await academicCredentials.connect(accreditor).registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.removeInstitution(institution.address);
+      await expect(
+        academicCredentials.reinstateInstitution(institution.address)
+      ).to.be.revertedWith("Institution not suspended");
+      expect(await academicCredentials.getAccreditationChain(institution.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Authority Periods", function () {
+    it("Should close the authority period on removal", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      const registeredAt = await time.latest();
+      await time.increase(100);
+      await academicCredentials.removeInstitution(institution.address);
+      const removedAt = await time.latest();
+
+      const periods = await academicCredentials.getAuthorityPeriods(institution.address);
+      expect(periods.length).to.equal(1);
+      expect(periods[0].start).to.equal(registeredAt);
+      expect(periods[0].end).to.equal(removedAt);
+      expect(await academicCredentials.wasAuthorizedAt(institution.address, registeredAt)).to.be.true;
+      expect(await academicCredentials.wasAuthorizedAt(institution.address, removedAt)).to.be.false;
+      expect(await academicCredentials.wasAuthorizedAt(institution.address, registeredAt - 1)).to.be.false;
+    });
+
+    it("Should remove a suspended institution without reopening its period", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.suspendInstitution(institution.address);
+      const suspendedAt = await time.latest();
+      await time.increase(100);
+
+      await expect(academicCredentials.removeInstitution(institution.address))
+        .to.emit(academicCredentials, "InstitutionRemoved")
+        .withArgs(institution.address);
+
+      const periods = await academicCredentials.getAuthorityPeriods(institution.address);
+      expect(periods.length).to.equal(1);
+      expect(periods[0].end).to.equal(suspendedAt);
+      expect(await academicCredentials.getAccreditationChain(institution.address)).to.deep.equal([]);
+      await expect(
+        academicCredentials.reinstateInstitution(institution.address)
+      ).to.be.revertedWith("Institution not suspended");
+      await expect(
+        academicCredentials.removeInstitution(institution.address)
+      ).to.be.revertedWith("Institution not registered");
+    });
+
+    it("Should keep credentials issued before removal attributable", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address, ethers.keccak256(ethers.toUtf8Bytes("test certificate")), "QmTest123", "{}", 0, 0
+      );
+      const credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+      await academicCredentials.removeInstitution(institution.address);
+
+      const credential = await academicCredentials.getCredential(credentialId);
+      expect(await academicCredentials.wasAuthorizedAt(institution.address, credential.timestamp)).to.be.true;
+      await expect(
+        academicCredentials.connect(institution).issueCredential(student.address, ethers.ZeroHash, "QmTest123", "{}", 0, 0)
+      ).to.be.revertedWith("Not an authorized signatory");
+    });
+
+    it("Should open a new period when an institution is reinstated", async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.suspendInstitution(institution.address);
+      const suspendedAt = await time.latest();
+      await time.increase(100);
+      await academicCredentials.reinstateInstitution(institution.address);
+      const reinstatedAt = await time.latest();
+
+      const periods = await academicCredentials.getAuthorityPeriods(institution.address);
+      expect(periods.length).to.equal(2);
+      expect(periods[1].end).to.equal(0);
+      expect(await academicCredentials.wasAuthorizedAt(institution.address, suspendedAt + 50)).to.be.false;
+      expect(await academicCredentials.wasAuthorizedAt(institution.address, reinstatedAt)).to.be.true;
+    });
+  });
+
+  describe("Credential Management", function () {
+    const certificateHash = ethers.keccak256(ethers.toUtf8Bytes("test certificate"));
+    const ipfsHash = "QmTest123";
+    const metadata = '{"name": "Test Certificate", "course": "Blockchain"}';
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+    });
+
+    it("Should issue a credential", async function () {
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        certificateHash,
+        ipfsHash,
+        metadata,
+        0,
+        0
+      );
+
+      const receipt = await tx.wait();
+      const credentialId = getIssuedCredentialId(academicCredentials, receipt);
+      const credential = await academicCredentials.getCredential(credentialId);
+
+      expect(credential.student).to.equal(student.address);
+      expect(credential.institution).to.equal(institution.address);
+      expect(credential.certificateHash).to.equal(certificateHash);
+      expect(credential.ipfsHash).to.equal(ipfsHash);
+      expect(credential.metadata).to.equal(metadata);
+      expect(credential.isRevoked).to.be.false;
+    });
+
+    it("Should revoke a credential", async function () {
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        certificateHash,
+        ipfsHash,
+        metadata,
+        0,
+        0
+      );
+      const receipt = await tx.wait();
+      const credentialId = getIssuedCredentialId(academicCredentials, receipt);
+
+      await academicCredentials.connect(institution).revokeCredential(credentialId, 0, "");
+      const credential = await academicCredentials.getCredential(credentialId);
+      expect(credential.isRevoked).to.be.true;
+    });
+
+    it("Should get student credentials", async function () {
+      await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        certificateHash,
+        ipfsHash,
+        metadata,
+        0,
+        0
+      );
+
+      const studentCredentials = await academicCredentials.getStudentCredentials(student.address);
+      expect(studentCredentials.length).to.equal(1);
+    });
+
+    it("Should batch issue credentials", async function () {
+      const requests = [student.address, otherAccount.address].map((address) => ({
+        student: address,
+        certificateHash,
+        ipfsHash,
+        metadata,
+        validFrom: 0,
+        validUntil: 0
+      }));
+
+      await academicCredentials.connect(institution).batchIssueCredentials(requests, false);
+
+      const studentCredentials = await academicCredentials.getStudentCredentials(student.address);
+      expect(studentCredentials.length).to.equal(1);
+    });
+  });
+
+  describe("Credential Validity", function () {
+    const certificateHash = ethers.keccak256(ethers.toUtf8Bytes("expiring certificate"));
+    const ipfsHash = "QmValidity123";
+    const metadata = '{"name": "Language Test"}';
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+    });
+
+    async function issueWithWindow(validFrom, validUntil) {
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        certificateHash,
+        ipfsHash,
+        metadata,
+        validFrom,
+        validUntil
+      );
+      return getIssuedCredentialId(academicCredentials, await tx.wait());
+    }
+
+    it("Should store the validity window", async function () {
+      const now = await time.latest();
+      const credentialId = await issueWithWindow(now, now + 365 * DAY);
+
+      const credential = await academicCredentials.getCredential(credentialId);
+      expect(credential.validFrom).to.equal(now);
+      expect(credential.validUntil).to.equal(now + 365 * DAY);
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(0); // Valid
+    });
+
+    it("Should treat an unbounded credential as valid", async function () {
+      const credentialId = await issueWithWindow(0, 0);
+      await time.increase(10 * 365 * DAY);
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(0); // Valid
+    });
+
+    it("Should report not-yet-valid until the window opens", async function () {
+      const validFrom = (await time.latest()) + 30 * DAY;
+      const credentialId = await issueWithWindow(validFrom, 0);
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(1); // NotYetValid
+      await time.increaseTo(validFrom);
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(0); // Valid
+    });
+
+    it("Should report expired once the window closes", async function () {
+      const validUntil = (await time.latest()) + 30 * DAY;
+      const credentialId = await issueWithWindow(0, validUntil);
+
+      await time.increaseTo(validUntil);
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(2); // Expired
+    });
+
+    it("Should report revoked ahead of the validity window", async function () {
+      const validUntil = (await time.latest()) + 30 * DAY;
+      const credentialId = await issueWithWindow(0, validUntil);
+
+      await academicCredentials.connect(institution).revokeCredential(credentialId, 0, "");
+      await time.increaseTo(validUntil);
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(3); // Revoked
+    });
+
+    it("Should reject a window that ends before it starts", async function () {
+      const now = await time.latest();
+      await expect(issueWithWindow(now + DAY, now)).to.be.revertedWith("Invalid validity window");
+    });
+  });
+
+  describe("Suspension and Revocation", function () {
+    const certificateHash = ethers.keccak256(ethers.toUtf8Bytes("disputed certificate"));
+    const justificationCid = "QmJustification123";
+    const ACADEMIC_MISCONDUCT = 1;
+    let credentialId;
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        certificateHash,
+        "QmDisputed123",
+        "{}",
+        0,
+        0
+      );
+      credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+    });
+
+    it("Should suspend a credential with a reason", async function () {
+      await expect(
+        academicCredentials.connect(institution).suspendCredential(credentialId, ACADEMIC_MISCONDUCT, justificationCid)
+      )
+        .to.emit(academicCredentials, "CredentialSuspended")
+        .withArgs(credentialId, institution.address, ACADEMIC_MISCONDUCT, justificationCid);
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(4); // Suspended
+    });
+
+    it("Should reinstate a suspended credential", async function () {
+      await academicCredentials.connect(institution).suspendCredential(credentialId, ACADEMIC_MISCONDUCT, justificationCid);
+      await expect(
+        academicCredentials.connect(institution).reinstateCredential(credentialId, "QmCleared123")
+      )
+        .to.emit(academicCredentials, "CredentialReinstated")
+        .withArgs(credentialId, institution.address, "QmCleared123");
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(0); // Valid
+    });
+
+    it("Should revoke a suspended credential permanently", async function () {
+      await academicCredentials.connect(institution).suspendCredential(credentialId, ACADEMIC_MISCONDUCT, justificationCid);
+      await expect(
+        academicCredentials.connect(institution).revokeCredential(credentialId, ACADEMIC_MISCONDUCT, justificationCid)
+      )
+        .to.emit(academicCredentials, "CredentialRevoked")
+        .withArgs(credentialId, institution.address, ACADEMIC_MISCONDUCT, justificationCid);
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(3); // Revoked
+      await expect(
+        academicCredentials.connect(institution).reinstateCredential(credentialId, "")
+      ).to.be.revertedWith("Credential not suspended");
+    });
+
+    it("Should record the status history in order", async function () {
+      await academicCredentials.connect(institution).suspendCredential(credentialId, ACADEMIC_MISCONDUCT, justificationCid);
+      await academicCredentials.connect(institution).reinstateCredential(credentialId, "");
+      await academicCredentials.connect(institution).revokeCredential(credentialId, 2, "");
+
+      const history = await academicCredentials.getStatusHistory(credentialId);
+      expect(history.length).to.equal(3);
+      expect(history.map((update) => update.action)).to.deep.equal([0n, 1n, 2n]); // Suspended, Reinstated, Revoked
+      expect(history[0].reason).to.equal(ACADEMIC_MISCONDUCT);
+      expect(history[0].justificationCid).to.equal(justificationCid);
+      expect(history[0].actor).to.equal(institution.address);
+      expect(history[2].reason).to.equal(2); // IssuedInError
+    });
+
+    it("Should only allow the issuing institution to suspend", async function () {
+      await academicCredentials.registerInstitution(otherAccount.address, institutionProfile);
+      await expect(
+        academicCredentials.connect(otherAccount).suspendCredential(credentialId, 0, "")
+      ).to.be.revertedWith("Not the issuing institution");
+    });
+
+    it("Should not suspend a credential twice", async function () {
+      await academicCredentials.connect(institution).suspendCredential(credentialId, 0, "");
+      await expect(
+        academicCredentials.connect(institution).suspendCredential(credentialId, 0, "")
+      ).to.be.revertedWith("Credential already suspended");
+    });
+  });
+
+  describe("Cohort Issuance", function () {
+    const hashes = ["alice", "bob", "carol"].map((name) => ethers.keccak256(ethers.toUtf8Bytes(name)));
+    let students;
+    let leaves;
+    let tree;
+    let cohortId;
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      students = [student.address, otherAccount.address, owner.address];
+      leaves = students.map((address, index) => cohortLeaf(address, hashes[index]));
+      tree = buildMerkleTree(leaves);
+
+      const tx = await academicCredentials.connect(institution).anchorCohort(tree.root, leaves.length, "QmCohort123", 0, 0);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => academicCredentials.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "CohortAnchored");
+      cohortId = event.args.cohortId;
+    });
+
+    it("Should anchor a cohort", async function () {
+      const cohort = await academicCredentials.getCohort(cohortId);
+      expect(cohort.institution).to.equal(institution.address);
+      expect(cohort.merkleRoot).to.equal(tree.root);
+      expect(cohort.credentialCount).to.equal(3);
+      expect(await academicCredentials.getInstitutionCohorts(institution.address)).to.deep.equal([cohortId]);
+    });
+
+    it("Should compute leaves like the frontend", async function () {
+      expect(await academicCredentials.cohortLeaf(student.address, hashes[0])).to.equal(leaves[0]);
+    });
+
+    it("Should verify inclusion of every credential", async function () {
+      for (let i = 0; i < students.length; i++) {
+        expect(
+          await academicCredentials.verifyCohortCredential(cohortId, students[i], hashes[i], tree.proofs[i])
+        ).to.be.true;
+      }
+    });
+
+    it("Should reject a credential outside the cohort", async function () {
+      expect(
+        await academicCredentials.verifyCohortCredential(cohortId, student.address, hashes[1], tree.proofs[0])
+      ).to.be.false;
+    });
+
+    it("Should revoke a single credential in a cohort", async function () {
+      await expect(
+        academicCredentials.connect(institution).revokeCohortCredential(cohortId, leaves[1], 4, "QmFraud123")
+      )
+        .to.emit(academicCredentials, "CohortCredentialRevoked")
+        .withArgs(cohortId, leaves[1], institution.address, 4, "QmFraud123", institution.address);
+
+      expect(await academicCredentials.getCohortCredentialStatus(cohortId, leaves[1])).to.equal(3); // Revoked
+      expect(await academicCredentials.getCohortCredentialStatus(cohortId, leaves[0])).to.equal(0); // Valid
+    });
+
+    it("Should only allow the anchoring institution to revoke", async function () {
+      await academicCredentials.registerInstitution(otherAccount.address, institutionProfile);
+      await expect(
+        academicCredentials.connect(otherAccount).revokeCohortCredential(cohortId, leaves[0], 0, "")
+      ).to.be.revertedWith("Not the issuing institution");
+    });
+  });
+
+  describe("Batch Issuance", function () {
+    const ipfsHash = "QmBatch123";
+    const metadata = '{"name": "Graduating Class"}';
+
+    // Builds a batch request for a student with a unique certificate hash
+    function request(address, index) {
+      return {
+        student: address,
+        certificateHash: ethers.keccak256(ethers.toUtf8Bytes(`batch certificate ${index}`)),
+        ipfsHash,
+        metadata,
+        validFrom: 0,
+        validUntil: 0
+      };
+    }
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+    });
+
+    it("Should emit per-item events and a summary", async function () {
+      const requests = [request(student.address, 0), request(otherAccount.address, 1)];
+      const tx = academicCredentials.connect(institution).batchIssueCredentials(requests, false);
+
+      await expect(tx)
+        .to.emit(academicCredentials, "CredentialIssued")
+        .withArgs(1, institution.address, student.address, requests[0].certificateHash, ipfsHash, institution.address);
+      await expect(tx)
+        .to.emit(academicCredentials, "CredentialIssued")
+        .withArgs(2, institution.address, otherAccount.address, requests[1].certificateHash, ipfsHash, institution.address);
+      await expect(tx)
+        .to.emit(academicCredentials, "BatchIssued")
+        .withArgs(institution.address, 2, 0);
+    });
+
+    it("Should revert the whole batch on an invalid row by default", async function () {
+      const requests = [request(student.address, 0), request(ethers.ZeroAddress, 1)];
+      await expect(
+        academicCredentials.connect(institution).batchIssueCredentials(requests, false)
+      ).to.be.revertedWith("Invalid student address");
+      expect(await academicCredentials.getStudentCredentials(student.address)).to.have.length(0);
+    });
+
+    it("Should skip and report invalid rows when asked", async function () {
+      const requests = [
+        request(student.address, 0),
+        request(ethers.ZeroAddress, 1),
+        { ...request(otherAccount.address, 2), ipfsHash: "" }
+      ];
+
+      const issuedIds = await academicCredentials.connect(institution).batchIssueCredentials.staticCall(requests, true);
+      expect(issuedIds).to.deep.equal([1n, 0n, 0n]);
+
+      const tx = academicCredentials.connect(institution).batchIssueCredentials(requests, true);
+      await expect(tx)
+        .to.emit(academicCredentials, "BatchItemSkipped")
+        .withArgs(institution.address, 1, ethers.ZeroAddress, "Invalid student address");
+      await expect(tx)
+        .to.emit(academicCredentials, "BatchItemSkipped")
+        .withArgs(institution.address, 2, otherAccount.address, "Invalid IPFS hash");
+      await expect(tx)
+        .to.emit(academicCredentials, "BatchIssued")
+        .withArgs(institution.address, 1, 2);
+
+      expect(await academicCredentials.getStudentCredentials(student.address)).to.have.length(1);
+      expect(await academicCredentials.getStudentCredentials(otherAccount.address)).to.have.length(0);
+    });
+
+    it("Should use less gas per credential than individual issuance", async function () {
+      const count = 20;
+      const requests = Array.from({ length: count }, (_, index) => request(student.address, index));
+
+      // Before: one issueCredential transaction per credential
+      let individualGas = 0n;
+      for (const item of requests) {
+        const tx = await academicCredentials.connect(institution).issueCredential(
+          item.student,
+          item.certificateHash,
+          item.ipfsHash,
+          item.metadata,
+          item.validFrom,
+          item.validUntil
+        );
+        individualGas += (await tx.wait()).gasUsed;
+      }
+
+      // After: all credentials in a single batch transaction
+      const tx = await academicCredentials.connect(institution).batchIssueCredentials(requests, false);
+      const batchGas = (await tx.wait()).gasUsed;
+
+      const individualPerCredential = individualGas / BigInt(count);
+      const batchPerCredential = batchGas / BigInt(count);
+      console.log(`      Gas per credential: individual ${individualPerCredential}, batch ${batchPerCredential}`);
+
+      expect(batchPerCredential).to.be.lessThan(individualPerCredential);
+    });
+  });
+
+  describe("Signatory Roles", function () {
+    const certificateHash = ethers.keccak256(ethers.toUtf8Bytes("signed certificate"));
+    const ISSUER = 0;
+    const REVOKER = 1;
+    let registrar;
+    let dean;
+
+    beforeEach(async function () {
+      [, , , , registrar, dean] = await ethers.getSigners();
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+    });
+
+    it("Should attribute a credential to the institution and the issuing signatory", async function () {
+      await expect(academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER))
+        .to.emit(academicCredentials, "SignatoryRoleGranted")
+        .withArgs(institution.address, registrar.address, ISSUER);
+
+      const tx = await academicCredentials.connect(registrar).issueCredential(
+        student.address, certificateHash, "QmSigned123", "{}", 0, 0
+      );
+      const credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+      const credential = await academicCredentials.getCredential(credentialId);
+
+      expect(credential.institution).to.equal(institution.address);
+      expect(credential.issuedBy).to.equal(registrar.address);
+      expect(await academicCredentials.getInstitutionCredentials(institution.address)).to.deep.equal([credentialId]);
+    });
+
+    it("Should keep issuer and revoker roles separate", async function () {
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      await academicCredentials.connect(institution).grantSignatoryRole(dean.address, REVOKER);
+
+      await expect(
+        academicCredentials.connect(dean).issueCredential(student.address, certificateHash, "QmSigned123", "{}", 0, 0)
+      ).to.be.revertedWith("Not an authorized signatory");
+
+      const tx = await academicCredentials.connect(registrar).issueCredential(
+        student.address, certificateHash, "QmSigned123", "{}", 0, 0
+      );
+      const credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+
+      await expect(
+        academicCredentials.connect(registrar).revokeCredential(credentialId, 0, "")
+      ).to.be.revertedWith("Not an authorized signatory");
+      await expect(academicCredentials.connect(dean).revokeCredential(credentialId, 2, ""))
+        .to.emit(academicCredentials, "CredentialRevoked")
+        .withArgs(credentialId, institution.address, 2, "");
+
+      const history = await academicCredentials.getStatusHistory(credentialId);
+      expect(history[0].actor).to.equal(dean.address);
+    });
+
+    it("Should remove authority when a role is revoked", async function () {
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      await expect(academicCredentials.connect(institution).revokeSignatoryRole(registrar.address, ISSUER))
+        .to.emit(academicCredentials, "SignatoryRoleRevoked")
+        .withArgs(institution.address, registrar.address, ISSUER);
+
+      expect(await academicCredentials.hasSignatoryRole(registrar.address, ISSUER)).to.be.false;
+      expect(await academicCredentials.getSignatoryInstitution(registrar.address)).to.equal(ethers.ZeroAddress);
+      await expect(
+        academicCredentials.connect(registrar).issueCredential(student.address, certificateHash, "QmSigned123", "{}", 0, 0)
+      ).to.be.revertedWith("Not an authorized signatory");
+    });
+
+    it("Should remove staff authority when the institution is removed", async function () {
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      await academicCredentials.removeInstitution(institution.address);
+
+      expect(await academicCredentials.hasSignatoryRole(registrar.address, ISSUER)).to.be.false;
+    });
+
+    it("Should not restore staff or the threshold when a removed institution is registered again", async function () {
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, REVOKER);
+      await academicCredentials.connect(institution).setApprovalThreshold(2);
+      await academicCredentials.removeInstitution(institution.address);
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+
+      expect(await academicCredentials.hasSignatoryRole(registrar.address, ISSUER)).to.be.false;
+      expect(await academicCredentials.getSignatoryInstitution(registrar.address)).to.equal(ethers.ZeroAddress);
+      await expect(
+        academicCredentials.connect(registrar).issueCredential(student.address, certificateHash, "QmSigned123", "{}", 0, 0)
+      ).to.be.revertedWith("Not an authorized signatory");
+      expect(await academicCredentials.getApprovalThreshold(institution.address)).to.equal(1);
+      await expect(
+        academicCredentials.connect(institution).setApprovalThreshold(2)
+      ).to.be.revertedWith("Invalid approval threshold");
+
+      // Granting again starts from a clean slate, the old Revoker role is not restored
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      expect(await academicCredentials.hasSignatoryRole(registrar.address, ISSUER)).to.be.true;
+      expect(await academicCredentials.hasSignatoryRole(registrar.address, REVOKER)).to.be.false;
+      await academicCredentials.registerInstitution(otherAccount.address, institutionProfile);
+      await expect(
+        academicCredentials.connect(otherAccount).grantSignatoryRole(registrar.address, REVOKER)
+      ).to.be.revertedWith("Signatory of another institution");
+    });
+
+    it("Should not let a signatory serve two institutions", async function () {
+      await academicCredentials.registerInstitution(otherAccount.address, institutionProfile);
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+
+      await expect(
+        academicCredentials.connect(otherAccount).grantSignatoryRole(registrar.address, REVOKER)
+      ).to.be.revertedWith("Signatory of another institution");
+      await expect(
+        academicCredentials.connect(otherAccount).revokeSignatoryRole(registrar.address, ISSUER)
+      ).to.be.revertedWith("Not a signatory of the caller");
+    });
+
+    it("Should only allow institutions to grant roles", async function () {
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      await expect(
+        academicCredentials.connect(registrar).grantSignatoryRole(dean.address, ISSUER)
+      ).to.be.revertedWith("Not a registered institution");
+    });
+  });
+
+  describe("Approval Workflow", function () {
+    const ISSUER = 0;
+    let registrar;
+    let dean;
+    let request;
+
+    // Returns the ID of the proposal made in a transaction receipt
+    function getProposalId(receipt) {
+      const event = receipt.logs
+        .map((log) => academicCredentials.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "CredentialProposed");
+      return event.args.proposalId;
+    }
+
+    beforeEach(async function () {
+      [, , , , registrar, dean] = await ethers.getSigners();
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, ISSUER);
+      await academicCredentials.connect(institution).grantSignatoryRole(dean.address, ISSUER);
+      await academicCredentials.connect(institution).setApprovalThreshold(2);
+      request = {
+        student: student.address,
+        certificateHash: ethers.keccak256(ethers.toUtf8Bytes("degree")),
+        ipfsHash: "QmDegree123",
+        metadata: "{}",
+        validFrom: 0,
+        validUntil: 0
+      };
+    });
+
+    it("Should issue a proposed credential once the threshold is reached", async function () {
+      const tx = await academicCredentials.connect(registrar).proposeCredential(request);
+      const proposalId = getProposalId(await tx.wait());
+
+      let proposal = await academicCredentials.getProposal(proposalId);
+      expect(proposal.approvers).to.deep.equal([registrar.address]);
+      expect(proposal.credentialId).to.equal(0);
+      expect(await academicCredentials.getStudentCredentials(student.address)).to.deep.equal([]);
+
+      await expect(academicCredentials.connect(dean).approveProposal(proposalId))
+        .to.emit(academicCredentials, "ProposalExecuted")
+        .withArgs(proposalId, 1);
+
+      proposal = await academicCredentials.getProposal(proposalId);
+      expect(proposal.approvers).to.deep.equal([registrar.address, dean.address]);
+      const credential = await academicCredentials.getCredential(proposal.credentialId);
+      expect(credential.institution).to.equal(institution.address);
+      expect(credential.issuedBy).to.equal(registrar.address);
+      expect(await academicCredentials.getCredentialProposal(proposal.credentialId)).to.equal(proposalId);
+    });
+
+    it("Should issue immediately when the threshold is one", async function () {
+      await academicCredentials.connect(institution).setApprovalThreshold(1);
+      await expect(academicCredentials.connect(registrar).proposeCredential(request))
+        .to.emit(academicCredentials, "ProposalExecuted");
+    });
+
+    it("Should execute a pending proposal once a lower threshold is met", async function () {
+      const tx = await academicCredentials.connect(registrar).proposeCredential(request);
+      const proposalId = getProposalId(await tx.wait());
+      await expect(
+        academicCredentials.connect(registrar).executeProposal(proposalId)
+      ).to.be.revertedWith("Not enough approvals");
+
+      await academicCredentials.connect(institution).setApprovalThreshold(1);
+      await expect(academicCredentials.connect(dean).executeProposal(proposalId))
+        .to.emit(academicCredentials, "ProposalExecuted")
+        .withArgs(proposalId, 1);
+      await expect(
+        academicCredentials.connect(dean).executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal already executed");
+    });
+
+    it("Should cap the threshold at the number of possible approvers", async function () {
+      // Two Issuer signatories plus the institution itself
+      await expect(academicCredentials.connect(institution).setApprovalThreshold(3))
+        .to.emit(academicCredentials, "ApprovalThresholdChanged")
+        .withArgs(institution.address, 3);
+      await expect(
+        academicCredentials.connect(institution).setApprovalThreshold(4)
+      ).to.be.revertedWith("Invalid approval threshold");
+
+      await academicCredentials.connect(institution).revokeSignatoryRole(dean.address, ISSUER);
+      await expect(
+        academicCredentials.connect(institution).setApprovalThreshold(3)
+      ).to.be.revertedWith("Invalid approval threshold");
+    });
+
+    it("Should not let a lone signatory bypass the threshold", async function () {
+      await expect(
+        academicCredentials.connect(registrar).issueCredential(
+          request.student, request.certificateHash, request.ipfsHash, request.metadata, 0, 0
+        )
+      ).to.be.revertedWith("Proposal required");
+      await expect(
+        academicCredentials.connect(registrar).batchIssueCredentials([request], true)
+      ).to.be.revertedWith("Proposal required");
+      await expect(
+        academicCredentials.connect(registrar).anchorCohort(request.certificateHash, 1, "QmCohort123", 0, 0)
+      ).to.be.revertedWith("Proposal required");
+    });
+
+    it("Should only require proposals from staff and only above a threshold of one", async function () {
+      // The bulk issuance page blocks staff wallets on exactly this policy before pinning any file
+      expect(await academicCredentials.getSignatoryInstitution(registrar.address)).to.equal(institution.address);
+      expect(await academicCredentials.getApprovalThreshold(institution.address)).to.equal(2);
+      await expect(
+        academicCredentials.connect(registrar).batchIssueCredentials([request], true)
+      ).to.be.revertedWith("Proposal required");
+      await expect(academicCredentials.connect(institution).batchIssueCredentials([request], true))
+        .to.emit(academicCredentials, "BatchIssued");
+
+      await academicCredentials.connect(institution).setApprovalThreshold(1);
+      const nextRequest = { ...request, certificateHash: ethers.keccak256(ethers.toUtf8Bytes("second degree")) };
+      await expect(academicCredentials.connect(registrar).batchIssueCredentials([nextRequest], true))
+        .to.emit(academicCredentials, "BatchIssued");
+      await expect(academicCredentials.connect(registrar).anchorCohort(nextRequest.certificateHash, 1, "QmCohort123", 0, 0))
+        .to.emit(academicCredentials, "CohortAnchored");
+    });
+
+    it("Should not let a lone signatory amend under the threshold", async function () {
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, 1);
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        request.student, request.certificateHash, request.ipfsHash, request.metadata, 0, 0
+      );
+      const credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+      await expect(
+        academicCredentials.connect(registrar).amendCredential(credentialId, request, "")
+      ).to.be.revertedWith("Proposal required");
+    });
+
+    it("Should not count the same approver twice", async function () {
+      const tx = await academicCredentials.connect(registrar).proposeCredential(request);
+      const proposalId = getProposalId(await tx.wait());
+      await expect(
+        academicCredentials.connect(registrar).approveProposal(proposalId)
+      ).to.be.revertedWith("Already approved");
+    });
+
+    it("Should only allow signatories of the same institution to approve", async function () {
+      await academicCredentials.registerInstitution(otherAccount.address, institutionProfile);
+      const tx = await academicCredentials.connect(registrar).proposeCredential(request);
+      const proposalId = getProposalId(await tx.wait());
+      await expect(
+        academicCredentials.connect(otherAccount).approveProposal(proposalId)
+      ).to.be.revertedWith("Not the proposing institution");
+    });
+
+    it("Should not approve a cancelled proposal", async function () {
+      const tx = await academicCredentials.connect(registrar).proposeCredential(request);
+      const proposalId = getProposalId(await tx.wait());
+      await expect(academicCredentials.connect(registrar).cancelProposal(proposalId))
+        .to.emit(academicCredentials, "ProposalCancelled")
+        .withArgs(proposalId, institution.address, registrar.address);
+      await expect(
+        academicCredentials.connect(dean).approveProposal(proposalId)
+      ).to.be.revertedWith("Proposal cancelled");
+      await expect(
+        academicCredentials.connect(dean).cancelProposal(proposalId)
+      ).to.be.revertedWith("Not the proposer or institution");
+    });
+  });
+
+  describe("Amendments", function () {
+    let credentialId;
+    let correction;
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        ethers.keccak256(ethers.toUtf8Bytes("Jon Doe")),
+        "QmMisspelled123",
+        "QmMetadataV1",
+        0,
+        0
+      );
+      credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+      correction = {
+        student: student.address,
+        certificateHash: ethers.keccak256(ethers.toUtf8Bytes("John Doe")),
+        ipfsHash: "QmCorrected123",
+        metadata: "QmMetadataV2",
+        validFrom: 0,
+        validUntil: 0
+      };
+    });
+
+    it("Should link the amended credential to the original", async function () {
+      const tx = await academicCredentials.connect(institution).amendCredential(credentialId, correction, "QmReason123");
+      const amendedId = getIssuedCredentialId(academicCredentials, await tx.wait());
+      await expect(tx)
+        .to.emit(academicCredentials, "CredentialAmended")
+        .withArgs(credentialId, amendedId, institution.address, "QmReason123");
+
+      const original = await academicCredentials.getCredential(credentialId);
+      const amended = await academicCredentials.getCredential(amendedId);
+      expect(original.supersededBy).to.equal(amendedId);
+      expect(amended.supersedes).to.equal(credentialId);
+      expect(amended.metadata).to.equal("QmMetadataV2");
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(7); // Superseded
+      expect(await academicCredentials.getCredentialStatus(amendedId)).to.equal(0); // Valid
+      const history = await academicCredentials.getStatusHistory(credentialId);
+      expect(history[0].action).to.equal(3); // Superseded
+      expect(history[0].reason).to.equal(3); // Superseded
+    });
+
+    it("Should resolve the current version through several amendments", async function () {
+      let tx = await academicCredentials.connect(institution).amendCredential(credentialId, correction, "");
+      const secondId = getIssuedCredentialId(academicCredentials, await tx.wait());
+      tx = await academicCredentials.connect(institution).amendCredential(secondId, correction, "");
+      const thirdId = getIssuedCredentialId(academicCredentials, await tx.wait());
+
+      expect(await academicCredentials.getCurrentVersion(credentialId)).to.equal(thirdId);
+      expect(await academicCredentials.getCurrentVersion(thirdId)).to.equal(thirdId);
+      await expect(
+        academicCredentials.connect(institution).amendCredential(credentialId, correction, "")
+      ).to.be.revertedWith("Credential already superseded");
+    });
+
+    it("Should require both issuer and revoker roles", async function () {
+      const [, , , , registrar] = await ethers.getSigners();
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, 0); // Issuer
+      await expect(
+        academicCredentials.connect(registrar).amendCredential(credentialId, correction, "")
+      ).to.be.revertedWith("Not an authorized signatory");
+
+      await academicCredentials.connect(institution).grantSignatoryRole(registrar.address, 1); // Revoker
+      await expect(academicCredentials.connect(registrar).amendCredential(credentialId, correction, ""))
+        .to.emit(academicCredentials, "CredentialAmended");
+    });
+
+    it("Should not amend a revoked credential", async function () {
+      await academicCredentials.connect(institution).revokeCredential(credentialId, 2, "");
+      await expect(
+        academicCredentials.connect(institution).amendCredential(credentialId, correction, "")
+      ).to.be.revertedWith("Credential already revoked");
+    });
+  });
+
+  describe("Student Claims", function () {
+    const certificateHash = ethers.keccak256(ethers.toUtf8Bytes("offered certificate"));
+    let credentialId;
+
+    beforeEach(async function () {
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      await expect(academicCredentials.connect(institution).setClaimRequired(true))
+        .to.emit(academicCredentials, "ClaimRequirementChanged")
+        .withArgs(institution.address, true);
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address, certificateHash, "QmOffered123", "{}", 0, 0
+      );
+      credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+    });
+
+    it("Should offer credentials until the student accepts", async function () {
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(5); // Offered
+
+      await expect(academicCredentials.connect(student).acceptCredential(credentialId))
+        .to.emit(academicCredentials, "CredentialAccepted")
+        .withArgs(credentialId, student.address);
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(0); // Valid
+      expect((await academicCredentials.getCredential(credentialId)).offerStatus).to.equal(0); // Accepted
+    });
+
+    it("Should let the student decline a credential for good", async function () {
+      await expect(academicCredentials.connect(student).declineCredential(credentialId))
+        .to.emit(academicCredentials, "CredentialDeclined")
+        .withArgs(credentialId, student.address);
+
+      expect(await academicCredentials.getCredentialStatus(credentialId)).to.equal(6); // Declined
+      await expect(
+        academicCredentials.connect(student).acceptCredential(credentialId)
+      ).to.be.revertedWith("Credential not offered");
+    });
+
+    it("Should only let the student answer an offer", async function () {
+      await expect(
+        academicCredentials.connect(otherAccount).acceptCredential(credentialId)
+      ).to.be.revertedWith("Not the credential student");
+    });
+
+    it("Should finalize credentials on issuance when claiming is not required", async function () {
+      await academicCredentials.connect(institution).setClaimRequired(false);
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address, certificateHash, "QmFinal123", "{}", 0, 0
+      );
+      const finalId = getIssuedCredentialId(academicCredentials, await tx.wait());
+
+      expect(await academicCredentials.getCredentialStatus(finalId)).to.equal(0); // Valid
+      await expect(
+        academicCredentials.connect(student).acceptCredential(finalId)
+      ).to.be.revertedWith("Credential not offered");
+    });
+  });
+
+  describe("Emergency Functions", function () {
+    it("Should pause and unpause the contract", async function () {
+      await academicCredentials.pause();
+      await academicCredentials.registerInstitution(institution.address, institutionProfile);
+      
+      await expect(
+        academicCredentials.connect(institution).issueCredential(
+          student.address,
+          ethers.keccak256(ethers.toUtf8Bytes("test")),
+          "ipfs",
+          "{}",
+          0,
+          0
+        )
+      ).to.be.revertedWith("Pausable: paused");
+
+      await academicCredentials.unpause();
+      // Should work after unpausing
+      await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        ethers.keccak256(ethers.toUtf8Bytes("test")),
+        "ipfs",
+        "{}",
+        0,
+        0
+      );
+    });
+  });
+}); 
\ No newline at end of file
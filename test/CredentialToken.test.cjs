@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Returns the ID of the credential issued in a transaction receipt
+function getIssuedCredentialId(contract, receipt) {
+  const event = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "CredentialIssued");
+  return event.args.credentialId;
+}
+
+// Registry profile used when registering institutions
+const institutionProfile = {
+  name: "Example University",
+  country: "IN",
+  accreditationNumber: "NAAC-0001",
+  website: "https://example.edu",
+  profileCid: "QmProfile123"
+};
+
+describe("CredentialToken", function () {
+  let academicCredentials;
+  let credentialToken;
+  let owner;
+  let institution;
+  let student;
+  let otherAccount;
+
+  // Issues a credential from the institution to the student
+  async function issue(metadata = "QmMetadata123") {
+    const tx = await academicCredentials.connect(institution).issueCredential(
+      student.address,
+      ethers.keccak256(ethers.toUtf8Bytes(metadata)),
+      "QmCertificate123",
+      metadata,
+      0,
+      0
+    );
+    return getIssuedCredentialId(academicCredentials, await tx.wait());
+  }
+
+  beforeEach(async function () {
+    [owner, institution, student, otherAccount] = await ethers.getSigners();
+
+    // Deploy both contracts and link them
+    const AcademicCredentials = await ethers.getContractFactory("AcademicCredentials");
+    academicCredentials = await AcademicCredentials.deploy();
+    await academicCredentials.waitForDeployment();
+
+    const CredentialToken = await ethers.getContractFactory("CredentialToken");
+    credentialToken = await CredentialToken.deploy(await academicCredentials.getAddress());
+    await credentialToken.waitForDeployment();
+
+    await academicCredentials.setCredentialToken(await credentialToken.getAddress());
+    await academicCredentials.registerInstitution(institution.address, institutionProfile);
+  });
+
+  describe("Minting", function () {
+    it("Should mint a locked token to the student on issuance", async function () {
+      const tx = await academicCredentials.connect(institution).issueCredential(
+        student.address,
+        ethers.keccak256(ethers.toUtf8Bytes("QmMetadata123")),
+        "QmCertificate123",
+        "QmMetadata123",
+        0,
+        0
+      );
+      const credentialId = getIssuedCredentialId(academicCredentials, await tx.wait());
+
+      await expect(tx).to.emit(credentialToken, "Locked").withArgs(credentialId);
+      expect(await credentialToken.ownerOf(credentialId)).to.equal(student.address);
+      expect(await credentialToken.balanceOf(student.address)).to.equal(1);
+      expect(await credentialToken.tokenURI(credentialId)).to.equal("ipfs://QmMetadata123");
+      expect(await credentialToken.locked(credentialId)).to.be.true;
+    });
+
+    it("Should only mint once an offered credential is accepted", async function () {
+      await academicCredentials.connect(institution).setClaimRequired(true);
+      const credentialId = await issue();
+      await expect(credentialToken.ownerOf(credentialId)).to.be.revertedWith("Token does not exist");
+
+      await academicCredentials.connect(student).acceptCredential(credentialId);
+      expect(await credentialToken.ownerOf(credentialId)).to.equal(student.address);
+    });
+
+    it("Should backfill tokens for credentials issued before the token was set", async function () {
+      await academicCredentials.setCredentialToken(ethers.ZeroAddress);
+      const credentialId = await issue();
+      await academicCredentials.setCredentialToken(await credentialToken.getAddress());
+
+      await academicCredentials.connect(otherAccount).mintCredentialToken(credentialId);
+      expect(await credentialToken.ownerOf(credentialId)).to.equal(student.address);
+      await expect(
+        academicCredentials.mintCredentialToken(credentialId)
+      ).to.be.revertedWith("Token already minted");
+    });
+
+    it("Should only allow the credentials contract to mint and burn", async function () {
+      await expect(
+        credentialToken.connect(owner).mint(student.address, 99, "QmMetadata123")
+      ).to.be.revertedWith("Caller is not the credentials contract");
+      await expect(credentialToken.connect(owner).burn(1)).to.be.revertedWith("Caller is not the credentials contract");
+    });
+  });
+
+  describe("Soulbinding", function () {
+    it("Should reject transfers and approvals", async function () {
+      const credentialId = await issue();
+      await expect(
+        credentialToken.connect(student).transferFrom(student.address, otherAccount.address, credentialId)
+      ).to.be.revertedWith("Credential tokens are soulbound");
+      await expect(
+        credentialToken.connect(student)["safeTransferFrom(address,address,uint256)"](student.address, otherAccount.address, credentialId)
+      ).to.be.revertedWith("Credential tokens are soulbound");
+      await expect(
+        credentialToken.connect(student).approve(otherAccount.address, credentialId)
+      ).to.be.revertedWith("Credential tokens are soulbound");
+      await expect(
+        credentialToken.connect(student).setApprovalForAll(otherAccount.address, true)
+      ).to.be.revertedWith("Credential tokens are soulbound");
+    });
+
+    it("Should report ERC-721 and ERC-5192 support", async function () {
+      expect(await credentialToken.supportsInterface("0x80ac58cd")).to.be.true; // ERC-721
+      expect(await credentialToken.supportsInterface("0x5b5e139f")).to.be.true; // ERC-721 Metadata
+      expect(await credentialToken.supportsInterface("0xb45a3c0e")).to.be.true; // ERC-5192
+      expect(await credentialToken.supportsInterface("0xffffffff")).to.be.false;
+    });
+  });
+
+  describe("Burning", function () {
+    it("Should burn the token when the credential is revoked", async function () {
+      const credentialId = await issue();
+      await expect(academicCredentials.connect(institution).revokeCredential(credentialId, 0, ""))
+        .to.emit(credentialToken, "Transfer")
+        .withArgs(student.address, ethers.ZeroAddress, credentialId);
+
+      expect(await credentialToken.balanceOf(student.address)).to.equal(0);
+      await expect(credentialToken.tokenURI(credentialId)).to.be.revertedWith("Token does not exist");
+      await expect(
+        academicCredentials.mintCredentialToken(credentialId)
+      ).to.be.revertedWith("Credential no longer current");
+    });
+
+    it("Should move the token to the amended credential", async function () {
+      const credentialId = await issue("QmMetadataV1");
+      const tx = await academicCredentials.connect(institution).amendCredential(credentialId, {
+        student: student.address,
+        certificateHash: ethers.keccak256(ethers.toUtf8Bytes("QmMetadataV2")),
+        ipfsHash: "QmCertificate456",
+        metadata: "QmMetadataV2",
+        validFrom: 0,
+        validUntil: 0
+      }, "");
+      const amendedId = getIssuedCredentialId(academicCredentials, await tx.wait());
+
+      await expect(credentialToken.ownerOf(credentialId)).to.be.revertedWith("Token does not exist");
+      expect(await credentialToken.tokenURI(amendedId)).to.equal("ipfs://QmMetadataV2");
+      expect(await credentialToken.balanceOf(student.address)).to.equal(1);
+    });
+
+    it("Should keep the token while a credential is suspended", async function () {
+      const credentialId = await issue();
+      await academicCredentials.connect(institution).suspendCredential(credentialId, 0, "");
+      expect(await credentialToken.ownerOf(credentialId)).to.equal(student.address);
+    });
+  });
+});